@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const KBucket = require('./kbucket.js').default;
+
+// Benchmarks KBucket on large tables against the previous implementation, which compared hex
+// distance strings with localeCompare, sorted the whole table in closest() and found contacts
+// with a linear all().find(). Also checks that both return the same closest nodes.
+//
+// Usage: node benchmark-kbucket.js [contacts] [bucket size] [queries]
+// The bucket size defaults to the number of contacts, so every contact fits in the table.
+
+const contactCount = Number(process.argv[2]) || 10000;
+const bucketSize = Number(process.argv[3]) || contactCount;
+const queryCount = Number(process.argv[4]) || 1000;
+const closestCount = 20; // nodes asked for per closest() call, the DHT's default k
+
+function randomId() {
+  return crypto.randomBytes(20).toString('hex');
+}
+
+function naiveXorDistance(id1, id2) {
+  const b1 = Buffer.from(id1, 'hex');
+  const b2 = Buffer.from(id2, 'hex');
+  const result = Buffer.alloc(b1.length);
+  for (let i = 0; i < b1.length; i++) result[i] = b1[i] ^ b2[i];
+  return result.toString('hex');
+}
+
+function naiveClosest(nodes, target, k) {
+  const distances = nodes.map(node => ({ node, distance: naiveXorDistance(node.id, target) }));
+  distances.sort((a, b) => a.distance.localeCompare(b.distance));
+  return distances.slice(0, k).map(d => d.node);
+}
+
+function time(label, runs, action) {
+  const start = process.hrtime.bigint();
+  for (let i = 0; i < runs; i++) action(i);
+  const elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`  ${label.padEnd(34)}${elapsed.toFixed(1).padStart(10)} ms total${(elapsed * 1000 / runs).toFixed(2).padStart(12)} µs per call`);
+  return elapsed;
+}
+
+const table = new KBucket(randomId(), bucketSize, { evictionPolicy: 'evictOldest' });
+const ids = Array.from({ length: contactCount }, randomId);
+const targets = Array.from({ length: queryCount }, randomId);
+
+console.log(`KBucket benchmark: ${contactCount} contacts offered, bucket size ${bucketSize}, ${queryCount} queries for ${closestCount} closest`);
+time('add', ids.length, i => table.add({ id: ids[i] }));
+const nodes = table.all();
+console.log(`  ${nodes.length} contacts in the table`);
+
+console.log('Id lookup:');
+const naiveFind = time('all().find() (previous)', queryCount, i => nodes.find(node => node.id === ids[i % ids.length]));
+const get = time('get()', queryCount, i => table.get(ids[i % ids.length]));
+console.log(`  speedup: ${(naiveFind / get).toFixed(1)}x`);
+
+console.log('Closest nodes:');
+const naive = time('full sort by hex distance (previous)', queryCount, i => naiveClosest(nodes, targets[i], closestCount));
+const walk = time('bucket walk with Buffer distances', queryCount, i => table.closest(targets[i], closestCount));
+console.log(`  speedup: ${(naive / walk).toFixed(1)}x`);
+
+const mismatches = targets.filter(target => {
+  const expected = naiveClosest(nodes, target, closestCount).map(node => node.id).join();
+  return table.closest(target, closestCount).map(node => node.id).join() !== expected;
+});
+if (mismatches.length > 0) {
+  console.error(`closest() differs from the full sort for ${mismatches.length} of ${targets.length} targets`);
+  process.exit(1);
+}
+console.log(`closest() matches the full sort for all ${targets.length} targets`);
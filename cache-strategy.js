@@ -2,13 +2,14 @@ const EventEmitter = require('events');
 const KBucket = require('./kbucket.js').default;
 
 class CacheStrategy extends EventEmitter {
-  cacheMessage(sender, recipient, message, nodeId, recipientFoundInBuckets) {}
+  cacheMessage(sender, recipient, message, nodeId, recipientFoundInBuckets, routing = null) {}
   async tryToDeliverCachedMessages(findAndPingNode, sendMessage, maxTTL) {
     return Promise.resolve();
   }
   getCachedMessageCount() { return 0; }
   clear() {}
-  addCachedMessages(cachedMessages) {}
+  addCachedMessages(cachedMessages) { return 0; }
+  removeCachedMessages(messageIds) {}
   getCachedMessages() { return new Map(); }
 }
 
@@ -17,11 +18,12 @@ class DistanceBasedCacheStrategy extends CacheStrategy {
     super();
     this.cachedMessages = new Map();
     this.accessOrder = [];
+    this.delivering = new Set(); // ids of messages a delivery run is sending right now
     this.maxSize = maxSize;
     this.distanceThreshold = distanceThreshold;
   }
 
-  cacheMessage(sender, recipient, message, nodeId, recipientFoundInBuckets) {
+  cacheMessage(sender, recipient, message, nodeId, recipientFoundInBuckets, routing = null) {
     if (!message.id || this.cachedMessages.has(message.id)) {
     //   console.log(`Message ${message.id} already cached or no ID; skipping`);
       return;
@@ -56,10 +58,11 @@ class DistanceBasedCacheStrategy extends CacheStrategy {
       sender,
       recipient,
       message,
+      routing,
     };
     this.cachedMessages.set(message.id, queued);
     this.accessOrder.push(message.id);
-    this.emit('messageCached');
+    this.emit('messageCached', message.id);
     console.log(`Cached message ${message.id} for ${recipient} (DistanceBasedCacheStrategy)`);
   }
 
@@ -74,21 +77,32 @@ class DistanceBasedCacheStrategy extends CacheStrategy {
         toRemove.push(messageId);
         continue;
       }
+      // runs overlap (every new connection starts one), and each message goes out only once
+      if (this.delivering.has(messageId)) {
+        continue;
+      }
 
-      const targetNode = await findAndPingNode(msg.recipient);
-      if (targetNode) {
-        const success = await sendMessage(targetNode, msg.sender, msg.recipient, msg.message);
-        if (success) {
-          console.log(`Delivered cached message ${messageId} to ${msg.recipient}`);
-          toRemove.push(messageId);
+      this.delivering.add(messageId);
+      try {
+        const targetNode = await findAndPingNode(msg.recipient);
+        if (targetNode) {
+          const success = await sendMessage(targetNode, msg.sender, msg.recipient, msg.message, msg.routing);
+          if (success) {
+            console.log(`Delivered cached message ${messageId} to ${msg.recipient}`);
+            this.emit('cachedMessageDelivered', messageId);
+            // removed right away, so a run that reaches it later doesn't send it again
+            this.removeCachedMessages([messageId]);
+          } else {
+            this.accessOrder = this.accessOrder.filter(id => id !== messageId);
+            this.accessOrder.push(messageId);
+          }
         } else {
+          console.log(`Recipient ${msg.recipient} offline; keeping message ${messageId} in cache`);
           this.accessOrder = this.accessOrder.filter(id => id !== messageId);
           this.accessOrder.push(messageId);
         }
-      } else {
-        console.log(`Recipient ${msg.recipient} offline; keeping message ${messageId} in cache`);
-        this.accessOrder = this.accessOrder.filter(id => id !== messageId);
-        this.accessOrder.push(messageId);
+      } finally {
+        this.delivering.delete(messageId);
       }
     }
 
@@ -100,13 +114,29 @@ class DistanceBasedCacheStrategy extends CacheStrategy {
     this.emit('delivered');
   }
 
+  // Takes messages cached elsewhere, as long as there is room (they don't evict the messages
+  // cached here). Returns how many of them the cache holds afterwards.
   addCachedMessages(cachedMessages) {
+    let held = 0;
     for (const [key, value] of cachedMessages) {
       if (!this.cachedMessages.has(key)) {
+        if (this.cachedMessages.size >= this.maxSize) {
+          console.log(`Cache full; not taking message ${key}`);
+          continue;
+        }
         this.cachedMessages.set(key, value);
         this.accessOrder.push(key);
       }
+      held++;
     }
+    return held;
+  }
+
+  removeCachedMessages(messageIds) {
+    for (const id of messageIds) {
+      this.cachedMessages.delete(id);
+    }
+    this.accessOrder = this.accessOrder.filter(id => this.cachedMessages.has(id));
   }
 
   getCachedMessages() {
@@ -124,16 +154,18 @@ class DistanceBasedCacheStrategy extends CacheStrategy {
 }
 
 class DistanceBasedProbabilisticCacheStrategy extends CacheStrategy {
-  constructor(maxSize = 100, distanceThreshold = Math.pow(2, 39), cacheProbability = 0.7) {
+  constructor(maxSize = 100, distanceThreshold = Math.pow(2, 39), cacheProbability = 0.7, random = Math.random) {
     super();
+    this.random = random;
     this.cachedMessages = new Map();
     this.accessOrder = [];
+    this.delivering = new Set(); // ids of messages a delivery run is sending right now
     this.maxSize = maxSize;
     this.distanceThreshold = distanceThreshold;
     this.cacheProbability = cacheProbability;
   }
 
-  cacheMessage(sender, recipient, message, nodeId, recipientFoundInBuckets) {
+  cacheMessage(sender, recipient, message, nodeId, recipientFoundInBuckets, routing = null) {
     if (!message.id || this.cachedMessages.has(message.id)) {
       console.log(`Message ${message.id} already cached or no ID; skipping`);
       return;
@@ -151,7 +183,7 @@ class DistanceBasedProbabilisticCacheStrategy extends CacheStrategy {
         return;
       }
 
-      if (Math.random() > this.cacheProbability) {
+      if (this.random() > this.cacheProbability) {
         console.log(`Probabilistic skip: Not caching message ${message.id} (probability=${this.cacheProbability})`);
         return;
       }
@@ -171,10 +203,11 @@ class DistanceBasedProbabilisticCacheStrategy extends CacheStrategy {
       sender,
       recipient,
       message,
+      routing,
     };
     this.cachedMessages.set(message.id, queued);
     this.accessOrder.push(message.id);
-    this.emit('messageCached');
+    this.emit('messageCached', message.id);
     console.log(`Cached message ${message.id} for ${recipient} with probability ${this.cacheProbability}`);
   }
 
@@ -189,21 +222,32 @@ class DistanceBasedProbabilisticCacheStrategy extends CacheStrategy {
         toRemove.push(messageId);
         continue;
       }
+      // runs overlap (every new connection starts one), and each message goes out only once
+      if (this.delivering.has(messageId)) {
+        continue;
+      }
 
-      const targetNode = await findAndPingNode(msg.recipient);
-      if (targetNode) {
-        const success = await sendMessage(targetNode, msg.sender, msg.recipient, msg.message);
-        if (success) {
-          console.log(`Delivered cached message ${messageId} to ${msg.recipient}`);
-          toRemove.push(messageId);
+      this.delivering.add(messageId);
+      try {
+        const targetNode = await findAndPingNode(msg.recipient);
+        if (targetNode) {
+          const success = await sendMessage(targetNode, msg.sender, msg.recipient, msg.message, msg.routing);
+          if (success) {
+            console.log(`Delivered cached message ${messageId} to ${msg.recipient}`);
+            this.emit('cachedMessageDelivered', messageId);
+            // removed right away, so a run that reaches it later doesn't send it again
+            this.removeCachedMessages([messageId]);
+          } else {
+            this.accessOrder = this.accessOrder.filter(id => id !== messageId);
+            this.accessOrder.push(messageId);
+          }
         } else {
+          console.log(`Recipient ${msg.recipient} offline; keeping message ${messageId} in cache`);
           this.accessOrder = this.accessOrder.filter(id => id !== messageId);
           this.accessOrder.push(messageId);
         }
-      } else {
-        console.log(`Recipient ${msg.recipient} offline; keeping message ${messageId} in cache`);
-        this.accessOrder = this.accessOrder.filter(id => id !== messageId);
-        this.accessOrder.push(messageId);
+      } finally {
+        this.delivering.delete(messageId);
       }
     }
 
@@ -219,12 +263,33 @@ class DistanceBasedProbabilisticCacheStrategy extends CacheStrategy {
     this.emit('delivered');
   }
 
+  // Takes messages cached elsewhere, as long as there is room (they don't evict the messages
+  // cached here). Returns how many of them the cache holds afterwards.
   addCachedMessages(cachedMessages) {
-    throw new Error('Method not implemented in DistanceBasedProbabilisticCacheStrategy');
+    let held = 0;
+    for (const [key, value] of cachedMessages) {
+      if (!this.cachedMessages.has(key)) {
+        if (this.cachedMessages.size >= this.maxSize) {
+          console.log(`Cache full; not taking message ${key}`);
+          continue;
+        }
+        this.cachedMessages.set(key, value);
+        this.accessOrder.push(key);
+      }
+      held++;
+    }
+    return held;
+  }
+
+  removeCachedMessages(messageIds) {
+    for (const id of messageIds) {
+      this.cachedMessages.delete(id);
+    }
+    this.accessOrder = this.accessOrder.filter(id => this.cachedMessages.has(id));
   }
 
   getCachedMessages() {
-    throw new Error('Method not implemented in DistanceBasedProbabilisticCacheStrategy');
+    return new Map(this.cachedMessages);
   }
 
   getCachedMessageCount() {
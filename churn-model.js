@@ -0,0 +1,142 @@
+const EventEmitter = require('events');
+const { sampleDistribution, validateDistribution } = require('./distributions.js');
+
+class ChurnModel extends EventEmitter {
+  constructor(orchestrator, spawnPeer, opts) {
+    super();
+    this.orchestrator = orchestrator;
+    this.spawnPeer = spawnPeer; // (index) => Promise, starts a peer with its scenario profile
+    this.sessionLength = validateDistribution(opts.sessionLength, 'churn.sessionLength');
+    this.interArrival = validateDistribution(opts.interArrival, 'churn.interArrival', { positive: true });
+    this.rejoinProbability = opts.rejoinProbability || 0;
+    this.maxPeers = opts.maxPeers || Infinity;
+    this.reportInterval = opts.reportInterval || 10 * 1000;
+    this.random = opts.random || Math.random;
+    this.departureTimers = new Map(); // peer index -> timeout
+    this.arrivalTimer = null;
+    this.reportIntervalId = null;
+    this.populationHistory = [];
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) {
+      console.warn("ChurnModel is already running");
+      return;
+    }
+    this.running = true;
+    this.orchestrator.getLivePeers().forEach(peer => this.scheduleDeparture(peer.index));
+    this.scheduleArrival();
+    this.recordPopulation();
+    this.reportIntervalId = setInterval(() => {
+      console.log(`Churn: ${this.orchestrator.getLivePeers().length} live peers`);
+    }, this.reportInterval);
+    console.log("ChurnModel started");
+  }
+
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    this.departureTimers.forEach(timer => clearTimeout(timer));
+    this.departureTimers.clear();
+    clearTimeout(this.arrivalTimer);
+    this.arrivalTimer = null;
+    clearInterval(this.reportIntervalId);
+    this.reportIntervalId = null;
+    console.log("ChurnModel stopped");
+  }
+
+  scheduleDeparture(index) {
+    const sessionLength = sampleDistribution(this.sessionLength, this.random);
+    this.departureTimers.set(index, setTimeout(() => this.depart(index), sessionLength));
+  }
+
+  scheduleArrival() {
+    const interArrival = sampleDistribution(this.interArrival, this.random);
+    this.arrivalTimer = setTimeout(() => {
+      this.arrive();
+      if (this.running) {
+        this.scheduleArrival();
+      }
+    }, interArrival);
+  }
+
+  async depart(index) {
+    this.departureTimers.delete(index);
+    if (!this.orchestrator.isAlive(index)) {
+      return;
+    }
+    console.log(`Churn: peer ${index + 1} leaves the network`);
+    try {
+      await this.orchestrator.killPeer(index);
+    } catch (error) {
+      console.error(`Churn: error stopping peer ${index + 1}:`, error);
+    }
+    this.recordPopulation();
+  }
+
+  async arrive() {
+    if (this.orchestrator.getLivePeers().length >= this.maxPeers) {
+      console.log(`Churn: population at maximum of ${this.maxPeers}; skipping arrival`);
+      return;
+    }
+
+    const departed = this.orchestrator.peers.filter(peer => peer && !peer.process);
+    let index;
+    if (departed.length > 0 && this.random() < this.rejoinProbability) {
+      index = departed[Math.floor(this.random() * departed.length)].index;
+      console.log(`Churn: peer ${index + 1} rejoins the network`);
+    } else {
+      index = this.orchestrator.peers.length;
+      console.log(`Churn: new peer ${index + 1} joins the network`);
+    }
+
+    try {
+      await this.spawnPeer(index);
+      if (this.running) {
+        this.scheduleDeparture(index);
+      }
+    } catch (error) {
+      console.error(`Churn: error starting peer ${index + 1}:`, error);
+    }
+    this.recordPopulation();
+  }
+
+  recordPopulation() {
+    const sample = { timestamp: Date.now(), livePeers: this.orchestrator.getLivePeers().length };
+    this.populationHistory.push(sample);
+    this.emit('population', sample);
+  }
+
+  getPopulationHistory() {
+    return this.populationHistory.slice();
+  }
+
+  printSummary() {
+    if (this.populationHistory.length === 0) {
+      return;
+    }
+    const counts = this.populationHistory.map(sample => sample.livePeers);
+    const mean = this.getTimeWeightedMeanPopulation();
+    console.log(`Churn summary: min ${Math.min(...counts)}, max ${Math.max(...counts)}, ` +
+      `time-weighted mean ${mean.toFixed(2)} live peers over ${this.populationHistory.length} population changes`);
+  }
+
+  getTimeWeightedMeanPopulation(now = Date.now()) {
+    const history = this.populationHistory;
+    const duration = now - history[0].timestamp;
+    if (duration <= 0) {
+      return history[history.length - 1].livePeers;
+    }
+    let weighted = 0;
+    for (let i = 0; i < history.length; i++) {
+      const end = i + 1 < history.length ? history[i + 1].timestamp : now;
+      weighted += history[i].livePeers * (end - history[i].timestamp);
+    }
+    return weighted / duration;
+  }
+}
+
+module.exports = { ChurnModel };
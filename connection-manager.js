@@ -4,7 +4,8 @@ class ConnectionManager {
     pexDataChannels,
     dht,
     initiateConnection,
-    userStore
+    userStore,
+    random = Math.random
   ) {
     this.minConnections = 3;
     this.checkInterval = 10 * 1000; // 10s for buffer checks
@@ -13,6 +14,7 @@ class ConnectionManager {
     this.dht = dht;
     this.initiateConnection = initiateConnection;
     this.userStore = userStore; // Store userStore
+    this.random = random;
     this.intervalId = null;
     this.hasTriggeredInitialConnections = false;
   }
@@ -193,7 +195,7 @@ class ConnectionManager {
     if (openChannels.length === 0) {
       return null;
     }
-    const randomIndex = Math.floor(Math.random() * openChannels.length);
+    const randomIndex = Math.floor(this.random() * openChannels.length);
     return openChannels[randomIndex];
   }
 
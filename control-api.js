@@ -0,0 +1,108 @@
+const express = require('express');
+
+// HTTP endpoints that act on the running simulation. Commands go through the orchestrator
+// to the workers, over the same IPC the scenario timeline uses.
+function createControlApi(orchestrator, spawnPeer) {
+  const router = express.Router();
+  router.use(express.json());
+
+  const describePeer = (peer) => ({
+    index: peer.index,
+    peerId: peer.id,
+    name: peer.profile.name,
+    alive: !!peer.process,
+    ready: peer.ready
+  });
+
+  const getPeer = (value) => {
+    const index = Number(value);
+    if (!Number.isInteger(index) || index < 0 || !orchestrator.peers[index]) {
+      throw new ControlApiError(404, `Unknown peer index ${value}`);
+    }
+    return orchestrator.peers[index];
+  };
+
+  const getLivePeer = (value) => {
+    const peer = getPeer(value);
+    if (!peer.process) {
+      throw new ControlApiError(409, `Peer ${peer.index} is not running`);
+    }
+    return peer;
+  };
+
+  router.get('/peers', (req, res) => {
+    res.json(orchestrator.peers.filter(Boolean).map(describePeer));
+  });
+
+  // Starts a new peer, or restarts a stopped one when `index` is given.
+  router.post('/peers', async (req, res) => {
+    const body = req.body || {};
+    const index = body.index !== undefined ? Number(body.index) : orchestrator.peers.length;
+    if (!Number.isInteger(index) || index < 0) {
+      throw new ControlApiError(400, 'index must be a peer index');
+    }
+    if (orchestrator.isAlive(index)) {
+      throw new ControlApiError(409, `Peer ${index} is already running`);
+    }
+    const peer = await spawnPeer(index);
+    res.status(201).json(describePeer(peer));
+  });
+
+  router.delete('/peers/:index', async (req, res) => {
+    const peer = getLivePeer(req.params.index);
+    await orchestrator.killPeer(peer.index);
+    res.json(describePeer(peer));
+  });
+
+  router.post('/peers/:index/pex', (req, res) => {
+    const peer = getLivePeer(req.params.index);
+    const body = req.body || {};
+    const peersRequested = body.peersRequested !== undefined ? body.peersRequested : 3;
+    if (!Number.isInteger(peersRequested) || peersRequested < 1) {
+      throw new ControlApiError(400, 'peersRequested must be a positive integer');
+    }
+    orchestrator.requestPEX(peer.index, peersRequested);
+    res.status(202).json({ index: peer.index, peersRequested });
+  });
+
+  router.get('/peers/:index/state', async (req, res) => {
+    const peer = getLivePeer(req.params.index);
+    res.json({ index: peer.index, ...await orchestrator.requestState(peer.index) });
+  });
+
+  router.post('/messages', (req, res) => {
+    const { from, to, text, id } = req.body || {};
+    const sender = getLivePeer(from);
+    const recipient = getPeer(to);
+    if (!recipient.id) {
+      throw new ControlApiError(409, `Peer ${recipient.index} has not joined yet`);
+    }
+    const message = id !== undefined
+      ? orchestrator.sendMessage(sender.index, recipient.index, text, id)
+      : orchestrator.sendMessage(sender.index, recipient.index, text);
+    res.status(202).json(message);
+  });
+
+  router.get('/messages/:id', (req, res) => {
+    const delivery = orchestrator.deliveredMessages.get(req.params.id);
+    res.json({ id: req.params.id, delivered: !!delivery, ...delivery });
+  });
+
+  router.use((error, req, res, next) => {
+    if (!(error instanceof ControlApiError)) {
+      console.error('Control API error:', error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  });
+
+  return router;
+}
+
+class ControlApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+module.exports = { createControlApi };
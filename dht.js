@@ -3,38 +3,87 @@ const WebRTCRPC = require('./webrtc-rpc.js').default;
 const KBucket = require('./kbucket.js').default;
 const { ForwardToAllCloserForwardStrategy } = require('./forward-strategy.js');
 const { DistanceBasedCacheStrategy, DistanceBasedProbabilisticCacheStrategy } = require('./cache-strategy.js');
+const { createRole } = require('./malicious-roles.js');
 const { v4: uuid } = require('uuid');
+const { uuidOptions } = require('./seeded-random.js');
+const crypto = require('crypto');
 const fs = require('fs').promises;
+const path = require('path');
 
 class DHT extends EventEmitter {
   constructor(opts) {
     super();
     this.rpc = new WebRTCRPC({ nodeId: opts.nodeId });
     this.nodeId = opts.nodeId;
-    this.buckets = new KBucket(this.nodeId, opts.k || 20);
+    this.buckets = new KBucket(this.nodeId, opts.k || 20, {
+      evictionPolicy: opts.evictionPolicy,
+      replacementCacheSize: opts.replacementCacheSize,
+      ping: (node) => this.rpc.ping(node),
+      isAlive: (node) => this.rpc.isConnected(node.id)
+    });
+    this.random = opts.random || Math.random;
+    this.contactTimeout = opts.contactTimeout || 60 * 1000; // contacts without a channel are dropped after this
+    this.refreshInterval = opts.refreshInterval || 15 * 60 * 1000; // buckets untouched for this long are refreshed
+    this.offlineContactTimeout = opts.offlineContactTimeout || 60 * 60 * 1000; // how long a lost contact counts as offline
+    this.offlineContacts = new Map(); // node id -> lastSeen, for contacts whose channel closed
     this.k = opts.k || 20;
     this.forwardedMessagesIds = new Set();
     this.receivedSignalingMessageIds = new Set();
     this.MAX_RECEIVED_IDS = 10000;
     this.forwardStrategy = new ForwardToAllCloserForwardStrategy();
+    this.traceRoutes = opts.traceRoutes || false;
+    this.hopLimit = opts.hopLimit !== undefined ? opts.hopLimit : null; // hops a message originating here may take; unlimited when null
+    if (this.hopLimit !== null && (!Number.isInteger(this.hopLimit) || this.hopLimit < 0)) {
+      throw new Error(`hopLimit must be a non-negative integer, got ${opts.hopLimit}`);
+    }
+    this.stateDir = opts.stateDir || '.';
+    this.handoffReplicas = opts.handoffReplicas || 3; // neighbours offered each cached message when leaving
+    this.alpha = opts.alpha || 3; // find_node requests a lookup keeps in flight
+    this.getPublicKey = opts.getPublicKey || (() => null); // (nodeId) => public key, sent along with contacts
+    this.connect = opts.connect || null; // (contact) => opens a WebRTC connection, signaled through the DHT
+    this.connectTimeout = opts.connectTimeout || 5 * 1000; // for the DHT data channel of a lookup contact
+    this.storage = new Map(); // key -> { value, expiresAt, published, republishedAt }
+    this.maxStoredValues = opts.maxStoredValues || 1000;
+    this.maxValueSize = opts.maxValueSize || 64 * 1024; // characters of JSON
+    this.defaultValueTTL = opts.valueTTL || 24 * 3600 * 1000;
+    this.republishInterval = opts.republishInterval || 3600 * 1000;
 
     this.cacheStrategy = this.createCacheStrategy(
       opts.cacheStrategy || 'distance',
       opts.cacheSize || 1000,
       opts.cacheDistanceThreshold || Math.pow(2, 45), // tested in 50 peers network scenario
-      opts.cacheProbability || 0.7
+      opts.cacheProbability || 0.7,
+      this.random
     );
+    this.roleName = opts.role || 'honest';
+    this.role = createRole(this.roleName, { ...opts.roleOptions, getPeerIndex: opts.getPeerIndex }, this.random);
+    this.role.on('tampered', (event) => this.emit('tampered', event));
+    this.role.on('replayed', (event) => this.emit('replayed', event));
     this.MAX_TTL = 48 * 3600 * 1000; // 48 hours in milliseconds
     this.ttlCleanupInterval = null;
 
     this.rpc.on("ping", (node) => this.addNode(node));
     this.rpc.on("message", this.handleMessage.bind(this));
     this.rpc.on("listening", (node) => {
+      this.offlineContacts.delete(node.id);
       this.addNode(node);
       this.tryToDeliverCachedMessagesToTarget();
     });
     this.rpc.on("visualizationEvent", (event) => this.emit("visualizationEvent", event))
-    this.cacheStrategy.on("messageCached", () => {
+    this.rpc.on("closed", (node) => {
+      const contact = this.buckets.remove(node.id);
+      this.offlineContacts.set(node.id, contact ? contact.lastSeen : Date.now());
+    });
+    this.buckets.on("removed", (node, replacement) => {
+      console.log(`Removed unreachable node ${node.id} from its bucket` + (replacement ? `; ${replacement.id} takes its place` : ''));
+      this.emit("nodeRemoved", { nodeId: node.id, replacement: replacement ? replacement.id : null });
+    });
+    this.buckets.on("evicted", (node, replacement) => {
+      console.log(`Evicted ${node.id} from its bucket` + (replacement ? ` in favour of ${replacement.id}` : ''));
+      this.emit("nodeEvicted", { nodeId: node.id, replacement: replacement ? replacement.id : null });
+    });
+    this.cacheStrategy.on("messageCached", (messageId) => {
+        this.emit("messageCached", { messageId });
         this.emit("visualizationEvent",
           {
             type: 'cache',
@@ -46,6 +95,10 @@ class DHT extends EventEmitter {
       }
     )
 
+    this.cacheStrategy.on("cachedMessageDelivered", (messageId) => {
+      this.emit("cachedMessageDelivered", { messageId });
+    });
+
     this.cacheStrategy.on("emptyCache", () => {
         this.emit("visualizationEvent",
           {
@@ -61,6 +114,14 @@ class DHT extends EventEmitter {
     this.loadState();
     this.startTTLCleanup();
     this.startReceivedIdsCleanup();
+    this.startStorageMaintenance();
+    this.startBucketMaintenance(opts.livenessCheckInterval || 10 * 1000);
+    if (opts.stateDir) {
+      // saved periodically too, so a crashed peer comes back with recent buckets and cache
+      this.startStateSaving(opts.saveStateInterval || 30 * 1000);
+    }
+
+    this.role.start(this);
 
     if (opts.bootstrapNodeId) this.bootstrap({ id: opts.bootstrapNodeId });
   }
@@ -69,95 +130,110 @@ class DHT extends EventEmitter {
     return this.buckets.sortClosestToSelf(peerIds);
   }
 
-  createCacheStrategy(name, cacheSize, distanceThreshold, cacheProbability) {
+  createCacheStrategy(name, cacheSize, distanceThreshold, cacheProbability, random) {
     switch (name.toLowerCase()) {
       case 'distance':
         return new DistanceBasedCacheStrategy(cacheSize, distanceThreshold);
       case 'distance_probabilistic':
-        return new DistanceBasedProbabilisticCacheStrategy(cacheSize, distanceThreshold, cacheProbability);
+        return new DistanceBasedProbabilisticCacheStrategy(cacheSize, distanceThreshold, cacheProbability, random);
       default:
         throw new Error(`Unknown cache strategy: ${name}`);
     }
   }
 
+  // Called whenever a node is heard from. New nodes are only added while they can be reached.
   async addNode(node) {
-    const exists = this.buckets.all().some((n) => n.id === node.id);
-    if (!exists) {
-      console.log('Adding new node:', node.id);
-      this.buckets.add(node);
-      const alive = true; // don't send ping, other simulators are online
-      // const alive = await this.rpc.ping(node);
-      console.log('Received pong:', alive);
-      if (alive) {
-        this.emit('ready');
-        this.tryToDeliverCachedMessagesToTarget();
-      }
-    } else {
+    if (this.buckets.get(node.id)) {
       console.log('Node already exists:', node.id);
+      this.buckets.add(node); // moves it to the tail of its bucket as just seen
+      return;
     }
+    const alive = this.rpc.isConnected(node.id) || await this.rpc.ping(node);
+    if (!alive) {
+      console.log(`Node ${node.id} is not reachable; not adding it`);
+      return;
+    }
+    if (this.buckets.add(node) === 'replacement') {
+      console.log(`Bucket of ${node.id} is full; keeping it as a replacement`);
+      return;
+    }
+    console.log('Adding new node:', node.id);
+    this.emit('ready');
+    this.tryToDeliverCachedMessagesToTarget();
   }
 
   setupDataChannel(targetPeerId, dataChannel) {
     this.rpc.setupDataChannel({ id: targetPeerId }, dataChannel);
   }
 
-  async sendMessage(recipient, message) {
+  // `routing` is left undefined by callers originating a message; relaying nodes pass the
+  // routing fields received with it (see getRelayRouting).
+  async sendMessage(recipient, message, routing) {
     const sender = message.senderId;
-    const targetNodeInBuckets = this.buckets.all().find(node => node.id === recipient);
-    if (targetNodeInBuckets) {
-      const alive = await this.rpc.ping(targetNodeInBuckets);
+    if (routing === undefined) {
+      routing = this.getOriginRouting(true);
+    }
+    const targetNode = this.getDirectContact(recipient);
+    if (targetNode) {
+      const alive = await this.rpc.ping(targetNode);
       if (alive) {
-        const success = await this.rpc.sendMessage(targetNodeInBuckets, sender, recipient, message);
+        const success = await this.rpc.sendMessage(targetNode, sender, recipient, message, null, routing);
         if (success) {
           console.log(`Message ${message.id} delivered to ${recipient}`);
         } else {
-          this.cacheMessage(this.nodeId, recipient, message, true);
-          this.forward(sender, recipient, message, true);
+          this.cacheMessage(this.nodeId, recipient, message, true, routing);
+          this.forward(sender, recipient, message, true, false, routing);
         }
       } else {
-        this.cacheMessage(this.nodeId, recipient, message, true);
-        this.forward(sender, recipient, message, true);
+        this.cacheMessage(this.nodeId, recipient, message, true, routing);
+        this.forward(sender, recipient, message, true, false, routing);
       }
+    } else if (this.offlineContacts.has(recipient) && !this.rpc.isConnected(recipient)) {
+      // a contact that went offline: cached like one for a contact that doesn't answer
+      console.log(`Recipient ${recipient} is offline; caching message ${message.id}`);
+      this.cacheMessage(this.nodeId, recipient, message, true, routing);
+      this.forward(sender, recipient, message, true, false, routing);
     } else {
       console.log(`Routing message ${message.id} through other peers`);
-      this.cacheMessage(this.nodeId, recipient, message, false);
-      this.forward(sender, recipient, message, false);
+      this.cacheMessage(this.nodeId, recipient, message, false, routing);
+      this.forward(sender, recipient, message, false, false, routing);
     }
   }
 
-  async sendSignalingMessage(recipient, signalingMessage, sender = null) {
+  async sendSignalingMessage(recipient, signalingMessage, sender = null, routing = null) {
     let originNode = false;
     if (!sender) {
       sender = this.nodeId;
       originNode = true;
+      routing = this.getOriginRouting(false);
       console.log(`Sending signaling message over DHT from peer ${this.nodeId} to ${recipient}`)
     }
 
     if (!signalingMessage.id) {
-      signalingMessage.id = uuid();
+      signalingMessage.id = uuid(uuidOptions(this.random)); // seeded runs repeat the ids
     }
 
-    const targetNodeInBuckets = this.buckets.all().find(node => node.id === recipient);
-    if (targetNodeInBuckets) {
-      const alive = await this.rpc.ping(targetNodeInBuckets);
+    const targetNode = this.getDirectContact(recipient);
+    if (targetNode) {
+      const alive = await this.rpc.ping(targetNode);
       if (alive) {
-        const success = await this.rpc.sendMessage(targetNodeInBuckets, sender, recipient, null, signalingMessage);
+        const success = await this.rpc.sendMessage(targetNode, sender, recipient, null, signalingMessage, routing);
         if (success) {
           console.log(`Signaling message ${signalingMessage.id} delivered to ${recipient}`);
           this.forwardedMessagesIds.add(signalingMessage.id);
         } else {
-          this.forward(sender, recipient, signalingMessage, originNode, true);
+          this.forward(sender, recipient, signalingMessage, originNode, true, routing);
         }
       } else {
-        this.forward(sender, recipient, signalingMessage, originNode, true);
+        this.forward(sender, recipient, signalingMessage, originNode, true, routing);
       }
     } else {
       console.log(`Routing signaling message ${signalingMessage.id} through other peers`);
-      this.forward(sender, recipient, signalingMessage, originNode, false);
+      this.forward(sender, recipient, signalingMessage, originNode, false, routing);
     }
   }
 
-  forward(sender, recipient, message, originNode, forceForwardingToKPeers = false) {
+  forward(sender, recipient, message, originNode, forceForwardingToKPeers = false, routing = null) {
     this.forwardStrategy.forward(
       sender,
       recipient,
@@ -169,7 +245,8 @@ class DHT extends EventEmitter {
       this.forwardedMessagesIds,
       originNode,
       forceForwardingToKPeers,
-      this.emit.bind(this)
+      this.emit.bind(this),
+      routing
     ).then(() => {
       console.log(`Forwarding completed for message ${message.id}`);
     }).catch(error => {
@@ -189,11 +266,63 @@ class DHT extends EventEmitter {
 
       this.addNode(from);
       if (recipient === this.nodeId) {
-        console.log(`Received message ${message.id} for self: ${message.encryptedMessage}`);
-        this.emit("chatMessage", message);
+        this.receiveChatMessage(rpcMessage);
+      } else {
+        const relayed = this.relayThroughRole(rpcMessage, message.id);
+        if (!relayed) return;
+        const routing = this.getRelayRouting(relayed);
+        if (this.hopLimitReached(routing, message.id)) return;
+        this.sendMessage(recipient, relayed.message, routing);
+      }
+    } else if (rpcMessage.type === 'cache') {
+      const { sender, recipient, message } = rpcMessage;
+      if (!sender || !recipient || !message || !message.id || !message.senderId) {
+        console.warn("Invalid cached message handoff; dropping.");
+        return;
+      }
+
+      this.addNode(from);
+      if (recipient === this.nodeId) {
+        this.receiveChatMessage(rpcMessage);
+        this.rpc.ackCachedMessage(from, message.id);
+      } else {
+        // the role sees handoffs like relayed messages, so a blackhole doesn't deliver them later
+        const relayed = this.relayThroughRole(rpcMessage, message.id);
+        if (!relayed) return;
+        const routing = this.getRelayRouting(relayed);
+        if (this.hopLimitReached(routing, message.id)) return;
+        console.log(`Taking over cached message ${message.id} for ${recipient} from leaving node ${from.id}`);
+        const held = this.cacheStrategy.addCachedMessages(new Map([[message.id, { sender, recipient, message: relayed.message, routing }]]));
+        if (held === 0) return; // no ack, so the leaving node offers it to someone else
+        this.emit("messageCached", { messageId: message.id });
+        this.rpc.ackCachedMessage(from, message.id);
+      }
+    } else if (rpcMessage.type === 'cacheAck' || /_response$/.test(rpcMessage.type)) {
+      // handled by the pending request in WebRTCRPC
+    } else if (rpcMessage.type === 'find_node' || rpcMessage.type === 'find_value') {
+      const target = rpcMessage.type === 'find_node' ? rpcMessage.target : rpcMessage.key;
+      if (!isNodeId(target)) {
+        console.warn(`Invalid ${rpcMessage.type} request; dropping.`);
+        return;
+      }
+      this.addNode(from);
+      const stored = rpcMessage.type === 'find_value' && this.getStoredValue(target);
+      if (stored) {
+        this.rpc.respond(from, rpcMessage, { value: stored.value, ttl: stored.expiresAt - Date.now() });
       } else {
-        this.sendMessage(recipient, message);
+        const closest = this.buckets.closest(target, this.k + 1).filter(node => node.id !== from.id).slice(0, this.k);
+        this.rpc.respond(from, rpcMessage, { nodes: closest.map(node => this.toContact(node)) });
       }
+    } else if (rpcMessage.type === 'store') {
+      const { key, value, ttl } = rpcMessage;
+      const error = this.checkValue(key, value, ttl);
+      if (error) {
+        console.warn(`Invalid store request from ${from.id}: ${error}`);
+        this.rpc.respond(from, rpcMessage, { stored: false });
+        return;
+      }
+      this.addNode(from);
+      this.rpc.respond(from, rpcMessage, { stored: this.storeLocally(key, value, ttl) });
     } else if (rpcMessage.type === 'signaling') {
       const { sender, recipient, signalingMessage } = rpcMessage;
       if (!sender || !recipient || !signalingMessage || !signalingMessage.id) {
@@ -218,13 +347,370 @@ class DHT extends EventEmitter {
         console.log(`Received signaling message ${signalingMessage.id} for self:`, signalingMessage);
         this.emit("signalingMessage", signalingMessage);
       } else {
-        this.sendSignalingMessage(recipient, signalingMessage, sender);
+        const relayed = this.relayThroughRole(rpcMessage, signalingMessage.id);
+        if (!relayed) return;
+        const routing = this.getRelayRouting(relayed);
+        if (this.hopLimitReached(routing, signalingMessage.id)) return;
+        this.sendSignalingMessage(recipient, relayed.signalingMessage, sender, routing);
       }
     } else {
       console.warn(`Received unexpected message type ${rpcMessage.type}; dropping.`);
     }
   }
 
+  // Iterative Kademlia lookup: keeps up to `alpha` requests in flight to the closest contacts
+  // not asked yet, asking the next one as soon as an answer arrives and merging the contacts it
+  // reports into the shortlist, until the k closest contacts have all answered or can't be
+  // asked. WebRTC needs a connection before a contact can be asked, so contacts reported with
+  // their public key are connected to first, with the offer and answer signaled through the
+  // DHT; once the connection is open they join the buckets like any other neighbour.
+  // Resolves to { closest, queried, responded, rounds }, with `closest` sorted by distance and
+  // `rounds` the longest chain of contacts learned from one another.
+  async findNode(target, alpha = this.alpha) {
+    const { value, ...result } = await this.iterativeLookup(target, (node) => this.rpc.findNode(node, target).then(nodes => nodes && { nodes }), alpha);
+    console.log(`Lookup for ${target} finished after ${result.rounds} rounds: ${result.responded}/${result.queried} contacts answered, ` +
+      `${result.closest.length} closest found`);
+    this.emit("lookup", result);
+    return result;
+  }
+
+  // `query(node)` resolves to { nodes } to continue with, { value, ttl } to stop the lookup
+  // with, or null when the node didn't answer.
+  async iterativeLookup(target, query, alpha) {
+    const targetKey = Buffer.from(target, 'hex');
+    // node id -> { id, publicKey, distance, depth, state: 'new' | 'queried' | 'responded' | 'failed' }
+    const shortlist = new Map();
+    const addCandidates = (nodes, depth) => nodes.forEach(node => {
+      if (node.id === this.nodeId) return;
+      const known = shortlist.get(node.id);
+      if (!known) {
+        const publicKey = node.publicKey || this.getPublicKey(node.id);
+        shortlist.set(node.id, { id: node.id, publicKey, distance: KBucket.distance(node.id, targetKey), depth, state: 'new' });
+      } else if (!known.publicKey && node.publicKey) {
+        known.publicKey = node.publicKey;
+      }
+    });
+    const closestCandidates = () => [...shortlist.values()]
+      .filter(node => node.state !== 'failed')
+      .sort((a, b) => Buffer.compare(a.distance, b.distance))
+      .slice(0, this.k);
+    const canAsk = (node) => this.rpc.isConnected(node.id) || (!!this.connect && !!node.publicKey);
+
+    this.buckets.touchBucket(target);
+    addCandidates(this.buckets.closest(target, this.k), 1);
+    let rounds = 0;
+    let value = null;
+    await new Promise((resolve) => {
+      let inFlight = 0;
+      const askNext = () => {
+        while (!value && inFlight < alpha) {
+          const node = closestCandidates().find(candidate => candidate.state === 'new' && canAsk(candidate));
+          if (!node) break;
+          node.state = 'queried';
+          rounds = Math.max(rounds, node.depth);
+          inFlight++;
+          // a request that throws, e.g. on a channel closing mid-lookup, fails like a timeout
+          this.askContact(node, query).catch(() => null).then((answer) => {
+            inFlight--;
+            if (answer === null) {
+              node.state = 'failed';
+            } else {
+              node.state = 'responded';
+              this.buckets.add(node);
+              if ('value' in answer) {
+                value = value || { value: answer.value, ttl: answer.ttl, from: node.id };
+              } else {
+                addCandidates(answer.nodes, node.depth + 1);
+              }
+            }
+            askNext();
+          });
+        }
+        if (value || inFlight === 0) resolve();
+      };
+      askNext();
+    });
+
+    const all = [...shortlist.values()];
+    return {
+      target,
+      closest: closestCandidates().map(node => ({ id: node.id, responded: node.state === 'responded' })),
+      queried: all.filter(node => node.state !== 'new').length,
+      responded: all.filter(node => node.state === 'responded').length,
+      rounds,
+      value
+    };
+  }
+
+  // Connects to a lookup contact first when there is no open channel to it.
+  async askContact(node, query) {
+    if (!this.rpc.isConnected(node.id) && !await this.connectTo(node)) {
+      console.log(`Could not connect to lookup contact ${node.id}`);
+      return null;
+    }
+    return query(node);
+  }
+
+  // Opens a connection to `contact` ({ id, publicKey }) and resolves to whether its DHT data
+  // channel opened within connectTimeout.
+  connectTo(contact) {
+    if (!this.connect || !contact.publicKey) {
+      return Promise.resolve(false);
+    }
+    return new Promise((resolve) => {
+      const onListening = (node) => {
+        if (node.id === contact.id) finish(true);
+      };
+      const timer = setTimeout(() => finish(false), this.connectTimeout);
+      const finish = (connected) => {
+        clearTimeout(timer);
+        this.rpc.removeListener('listening', onListening);
+        resolve(connected);
+      };
+      this.rpc.on('listening', onListening);
+      this.connect({ id: contact.id, publicKey: contact.publicKey });
+    });
+  }
+
+  toContact(node) {
+    const publicKey = this.getPublicKey(node.id);
+    return publicKey ? { id: node.id, publicKey } : { id: node.id };
+  }
+
+  // Hashes anything but a node id into one, so applications can use names as keys.
+  static toKey(name) {
+    return isNodeId(name) ? name : crypto.createHash('sha1').update(String(name)).digest('hex');
+  }
+
+  // Publishes `value` under `key`: this node keeps it and republishes it until it expires
+  // after `ttl` ms, and it is stored on the k closest nodes that answer a lookup for the key.
+  // Resolves to { key, holders } with the ids of the nodes that accepted it.
+  async store(key, value, ttl = this.defaultValueTTL) {
+    key = DHT.toKey(key);
+    const error = this.checkValue(key, value, ttl);
+    if (error) {
+      throw new Error(`Can't store ${key}: ${error}`);
+    }
+    this.storeLocally(key, value, ttl, true);
+    const holders = await this.replicate(key, value, ttl);
+    console.log(`Stored ${key} on ${holders.length} nodes`);
+    this.emit("valuePublished", { key, holders });
+    return { key, holders };
+  }
+
+  // Looks for a value under `key`, locally first, then with an iterative lookup that stops at
+  // the first node holding it. Resolves to { key, found, value, ttl, from, rounds, queried, responded }.
+  async findValue(key, alpha = this.alpha) {
+    key = DHT.toKey(key);
+    const local = this.getStoredValue(key);
+    if (local) {
+      return { key, found: true, value: local.value, ttl: local.expiresAt - Date.now(), from: this.nodeId, rounds: 0, queried: 0, responded: 0 };
+    }
+    const { value, rounds, queried, responded } = await this.iterativeLookup(key, (node) => this.rpc.findValue(node, key), alpha);
+    const result = { key, found: !!value, ...value, rounds, queried, responded };
+    console.log(`Value lookup for ${key} ${value ? `found it at ${value.from}` : 'found nothing'} after ${rounds} rounds`);
+    this.emit("valueLookup", result);
+    return result;
+  }
+
+  // Stores the value on the k closest nodes that answered a lookup for the key, which has
+  // connected to them if need be.
+  async replicate(key, value, ttl) {
+    const { closest } = await this.findNode(key);
+    const replicas = closest.filter(node => node.responded);
+    const accepted = await Promise.all(replicas.map(node => this.rpc.store(node, key, value, ttl)));
+    return replicas.filter((node, i) => accepted[i]).map(node => node.id);
+  }
+
+  checkValue(key, value, ttl) {
+    if (!isNodeId(key)) return 'the key is not a 40-character hex id';
+    if (value === undefined) return 'no value';
+    if (!(typeof ttl === 'number' && ttl > 0)) return 'the ttl is not a positive number';
+    if (JSON.stringify(value).length > this.maxValueSize) return `the value is larger than ${this.maxValueSize} bytes`;
+    return null;
+  }
+
+  // `published` marks values this node stored itself. Resolves to whether the value was kept.
+  storeLocally(key, value, ttl, published = false) {
+    const existing = this.storage.get(key);
+    if (!existing && this.storage.size >= this.maxStoredValues) {
+      this.expireValues();
+      if (this.storage.size >= this.maxStoredValues) {
+        console.warn(`Storage full; not storing ${key}`);
+        return false;
+      }
+    }
+    const now = Date.now();
+    this.storage.set(key, {
+      value,
+      expiresAt: now + Math.min(ttl, this.MAX_TTL),
+      published: published || !!(existing && existing.published),
+      // a value just stored here doesn't need republishing by this node for a while
+      republishedAt: now
+    });
+    this.emit("valueStored", { key, published });
+    return true;
+  }
+
+  getStoredValue(key) {
+    const entry = this.storage.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.storage.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  expireValues() {
+    const now = Date.now();
+    for (const [key, entry] of this.storage) {
+      if (entry.expiresAt <= now) {
+        console.log(`Stored value ${key} expired`);
+        this.storage.delete(key);
+        this.emit("valueExpired", { key });
+      }
+    }
+  }
+
+  // Drops contacts that have had no open channel for `contactTimeout`, such as nodes loaded from
+  // the saved state that never reconnected, remembering them as offline, and forgets offline
+  // contacts not seen for `offlineContactTimeout`. Refreshes each bucket that has seen neither
+  // a contact nor a lookup within `refreshInterval` with a lookup for a random id in its range,
+  // which connects to the contacts it finds and so fills the bucket again.
+  startBucketMaintenance(interval) {
+    this.bucketMaintenanceInterval = setInterval(() => {
+      const now = Date.now();
+      this.buckets.all()
+        .filter(node => !this.rpc.isConnected(node.id) && now - node.lastSeen >= this.contactTimeout)
+        .forEach(node => {
+          this.buckets.remove(node.id);
+          this.offlineContacts.set(node.id, node.lastSeen);
+        });
+      for (const [id, lastSeen] of this.offlineContacts) {
+        if (now - lastSeen >= this.offlineContactTimeout) this.offlineContacts.delete(id);
+      }
+      this.buckets.staleBuckets(this.refreshInterval).forEach(index => {
+        console.log(`Refreshing bucket ${index}`);
+        this.findNode(this.buckets.randomIdInBucket(index, this.random)).catch(error => {
+          console.error(`Refreshing bucket ${index} failed:`, error);
+        });
+      });
+    }, interval);
+  }
+
+  // Every node holding a value stores it again on the k closest nodes it can find once per
+  // `republishInterval`, with the time the value has left, so that it survives churn.
+  startStorageMaintenance() {
+    this.storageInterval = setInterval(() => {
+      this.expireValues();
+      const now = Date.now();
+      for (const [key, entry] of this.storage) {
+        if (now - entry.republishedAt < this.republishInterval) continue;
+        entry.republishedAt = now;
+        this.replicate(key, entry.value, entry.expiresAt - now).then(holders => {
+          console.log(`Republished ${key} to ${holders.length} nodes`);
+        }).catch(error => {
+          console.error(`Republishing ${key} failed:`, error);
+        });
+      }
+    }, Math.min(this.republishInterval, 60 * 1000));
+  }
+
+  receiveChatMessage(rpcMessage) {
+    const { message } = rpcMessage;
+    console.log(`Received message ${message.id} for self: ${message.encryptedMessage}`);
+    this.emit("chatMessage", message);
+    if (Array.isArray(rpcMessage.trace)) {
+      this.emitRoute(message, [...rpcMessage.trace, this.nodeId]);
+    }
+  }
+
+  // Called before leaving the network: every cached message is delivered directly when its
+  // recipient is a live neighbour, otherwise offered to the live neighbours closest to the
+  // recipient. Messages that found a new holder leave the cache, so only the others are saved.
+  // Resolves to their number.
+  async handOffCachedMessages() {
+    const cached = Array.from(this.cacheStrategy.getCachedMessages().values());
+
+    const results = await Promise.all(cached.map(async ({ sender, recipient, message, routing }) => {
+      const liveClosest = this.buckets.closest(recipient, Infinity).filter(node => this.rpc.isConnected(node.id));
+      if (liveClosest.length > 0 && liveClosest[0].id === recipient) {
+        return this.rpc.sendMessage(liveClosest[0], sender, recipient, message, null, routing);
+      }
+      const closest = liveClosest.slice(0, this.handoffReplicas);
+      const accepted = await Promise.all(closest.map(node => this.rpc.offerCachedMessage(node, sender, recipient, message, routing)));
+      const holders = closest.filter((node, i) => accepted[i]).map(node => node.id);
+      if (holders.length > 0) {
+        console.log(`Handed off cached message ${message.id} to ${holders.join(', ')}`);
+        this.emit("messageHandedOff", { messageId: message.id, to: holders });
+      }
+      return holders.length > 0;
+    }));
+    const handedOff = cached.filter((entry, i) => results[i]).map(({ message }) => message.id);
+    this.cacheStrategy.removeCachedMessages(handedOff);
+    return handedOff.length;
+  }
+
+  getOriginRouting(isChatMessage) {
+    return {
+      trace: isChatMessage && this.traceRoutes ? [] : null,
+      hopLimit: this.hopLimit
+    };
+  }
+
+  // Relaying uses up one hop of the received hop limit.
+  getRelayRouting(rpcMessage) {
+    return {
+      trace: Array.isArray(rpcMessage.trace) ? rpcMessage.trace : null,
+      hopLimit: Number.isInteger(rpcMessage.hopLimit) ? rpcMessage.hopLimit - 1 : null
+    };
+  }
+
+  // Lets the node's role (see malicious-roles.js) drop or alter a message before it is
+  // relayed. Returns the message to relay, or null when the role dropped it.
+  relayThroughRole(rpcMessage, messageId) {
+    const relayed = this.role.relay(rpcMessage);
+    if (!relayed) {
+      console.log(`Role ${this.roleName} drops message ${messageId}`);
+      this.emit("dropped", { messageId, role: this.roleName });
+      this.emit("visualizationEvent", {
+        type: 'drop',
+        reason: this.roleName,
+        nodeId: this.nodeId,
+        messageId,
+        timestamp: Date.now()
+      });
+    }
+    return relayed;
+  }
+
+  hopLimitReached(routing, messageId) {
+    if (routing.hopLimit === null || routing.hopLimit > 0) {
+      return false;
+    }
+    console.log(`Hop limit reached for message ${messageId}; dropping`);
+    this.emit("hopLimitReached", { messageId });
+    this.emit("visualizationEvent", {
+      type: 'drop',
+      reason: 'hopLimit',
+      nodeId: this.nodeId,
+      messageId,
+      timestamp: Date.now()
+    });
+    return true;
+  }
+
+  emitRoute(message, path) {
+    console.log(`Message ${message.id} took route ${path.join(' -> ')}`);
+    this.emit("route", { messageId: message.id, path });
+    this.emit("visualizationEvent", {
+      type: 'route',
+      messageId: message.id,
+      path,
+      timestamp: Date.now()
+    });
+  }
+
   cleanupReceivedSignalingMessageIds() {
     const ids = Array.from(this.receivedSignalingMessageIds);
     if (ids.length > this.MAX_RECEIVED_IDS) {
@@ -235,21 +721,21 @@ class DHT extends EventEmitter {
   }
 
   startReceivedIdsCleanup() {
-    setInterval(() => {
+    this.receivedIdsCleanupInterval = setInterval(() => {
       this.cleanupReceivedSignalingMessageIds();
     }, 5 * 60 * 1000);
   }
 
-  cacheMessage(sender, recipient, message, recipientFoundInBuckets) {
-    this.cacheStrategy.cacheMessage(sender, recipient, message, this.nodeId, recipientFoundInBuckets);
+  cacheMessage(sender, recipient, message, recipientFoundInBuckets, routing = null) {
+    this.cacheStrategy.cacheMessage(sender, recipient, message, this.nodeId, recipientFoundInBuckets, routing);
     this.emit("cache", { sender, recipient, message });
   }
 
   async tryToDeliverCachedMessagesToTarget() {
     await this.cacheStrategy.tryToDeliverCachedMessages(
       (targetId) => this.findAndPingNode(targetId),
-      (node, sender, recipient, message) => {
-        return this.rpc.sendMessage(node, sender, recipient, message);
+      (node, sender, recipient, message, routing) => {
+        return this.rpc.sendMessage(node, sender, recipient, message, null, routing);
       },
       this.MAX_TTL
     );
@@ -259,34 +745,52 @@ class DHT extends EventEmitter {
   async saveState() {
     try {
       const messagesArray = Array.from(this.cacheStrategy.getCachedMessages());
-      await fs.writeFile(`dht_${this.nodeId}_cachedMessages.json`, JSON.stringify(messagesArray));
+      await fs.writeFile(path.join(this.stateDir, `dht_${this.nodeId}_cachedMessages.json`), JSON.stringify(messagesArray));
 
-      const nodes = this.buckets.all().map(node => ({ id: node.id }));
-      await fs.writeFile(`dht_${this.nodeId}_kBucket.json`, JSON.stringify(nodes));
+      const nodes = this.buckets.all().map(node => ({ id: node.id, lastSeen: node.lastSeen }));
+      await fs.writeFile(path.join(this.stateDir, `dht_${this.nodeId}_kBucket.json`), JSON.stringify(nodes));
+
+      await fs.writeFile(path.join(this.stateDir, `dht_${this.nodeId}_storage.json`), JSON.stringify(Array.from(this.storage)));
     } catch (error) {
       console.error(`Error saving state for node ${this.nodeId}:`, error);
       throw error;
     }
   }
 
+  startStateSaving(interval) {
+    this.stateSavingInterval = setInterval(() => {
+      this.saveState().catch(() => {});
+    }, interval);
+  }
+
   async loadState() {
     try {
-      const cachedMessages = await fs.readFile(`dht_${this.nodeId}_cachedMessages.json`, 'utf8').catch(() => null);
+      const cachedMessages = await fs.readFile(path.join(this.stateDir, `dht_${this.nodeId}_cachedMessages.json`), 'utf8').catch(() => null);
       if (cachedMessages) {
         const messagesArray = JSON.parse(cachedMessages);
         this.cacheStrategy.addCachedMessages(new Map(messagesArray));
       }
 
-      const nodesJson = await fs.readFile(`dht_${this.nodeId}_kBucket.json`, 'utf8').catch(() => null);
+      const nodesJson = await fs.readFile(path.join(this.stateDir, `dht_${this.nodeId}_kBucket.json`), 'utf8').catch(() => null);
       if (nodesJson) {
         const nodes = JSON.parse(nodesJson);
         for (const node of nodes) {
-          this.buckets.add({ id: node.id });
+          // not reachable until their channels reopen; dropped after contactTimeout otherwise
+          this.buckets.add({ id: node.id }, node.lastSeen || 0);
+        }
+      }
+
+      const storageJson = await fs.readFile(path.join(this.stateDir, `dht_${this.nodeId}_storage.json`), 'utf8').catch(() => null);
+      if (storageJson) {
+        const now = Date.now();
+        for (const [key, entry] of JSON.parse(storageJson)) {
+          if (entry.expiresAt > now && !this.storage.has(key)) {
+            this.storage.set(key, entry);
+          }
         }
       }
-      console.log("Loaded DHT state:");
-      console.log(this.cacheStrategy.getCachedMessages());
-      console.log(this.buckets);
+      console.log(`Loaded DHT state: ${this.buckets.size} contacts, ${this.cacheStrategy.getCachedMessageCount()} cached messages, ` +
+        `${this.storage.size} stored values`);
     } catch (error) {
       console.error(`Error loading state for node ${this.nodeId}:`, error);
       throw error;
@@ -297,8 +801,8 @@ class DHT extends EventEmitter {
     this.ttlCleanupInterval = setInterval(() => {
       this.cacheStrategy.tryToDeliverCachedMessages(
         (targetId) => this.findAndPingNode(targetId),
-        (node, sender, recipient, message) => {
-          return this.rpc.sendMessage(node, sender, recipient, message);
+        (node, sender, recipient, message, routing) => {
+          return this.rpc.sendMessage(node, sender, recipient, message, null, routing);
         },
         this.MAX_TTL
       ).then(() => {
@@ -315,17 +819,20 @@ class DHT extends EventEmitter {
   }
 
   async findAndPingNode(targetId) {
-    const closest = this.buckets.closest(targetId, this.k);
-    for (const node of closest) {
-      if (node.id === targetId) {
-        const alive = await this.rpc.ping(node);
-        if (alive) return node;
-      }
+    const node = this.getDirectContact(targetId);
+    if (node && await this.rpc.ping(node)) {
+      return node;
     }
     console.log("Node not found in buckets or didn't respond to ping");
     return null;
   }
 
+  // The contact to send to directly: a node in the buckets, or any node with an open channel
+  // (e.g. one waiting in the replacement cache of a full bucket).
+  getDirectContact(id) {
+    return this.buckets.get(id) || (this.rpc.isConnected(id) ? { id } : null);
+  }
+
   async bootstrap(bootstrapNode) {
     console.log("Adding bootstrap node...");
     await this.addNode(bootstrapNode);
@@ -334,11 +841,21 @@ class DHT extends EventEmitter {
   }
 
   close() {
+    this.role.stop();
     this.stopTTLCleanup();
+    clearInterval(this.receivedIdsCleanupInterval);
+    clearInterval(this.stateSavingInterval);
+    clearInterval(this.storageInterval);
+    clearInterval(this.bucketMaintenanceInterval);
     this.rpc.close();
     this.receivedSignalingMessageIds.clear();
     this.cacheStrategy.clear();
+    this.storage.clear();
   }
 }
 
+function isNodeId(value) {
+  return typeof value === 'string' && /^[0-9a-f]{40}$/.test(value);
+}
+
 module.exports = { default: DHT };
\ No newline at end of file
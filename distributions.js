@@ -0,0 +1,39 @@
+// Samplers for the time distributions used by the churn model and workload generators.
+// Every spec is { distribution, ... } with times in milliseconds:
+//   { distribution: 'fixed', value }
+//   { distribution: 'exponential', mean }
+//   { distribution: 'weibull', shape, scale }
+function sampleDistribution(spec, random = Math.random) {
+  switch (spec.distribution) {
+    case 'fixed':
+      return spec.value;
+    case 'exponential':
+      return -spec.mean * Math.log(1 - random());
+    case 'weibull':
+      return spec.scale * Math.pow(-Math.log(1 - random()), 1 / spec.shape);
+    default:
+      throw new Error(`Unknown distribution: ${spec.distribution}`);
+  }
+}
+
+// With `positive`, every parameter must be above zero, for gaps that drive a loop: a gap that
+// can be 0 turns it into a setTimeout(0) loop.
+function validateDistribution(spec, name, { positive = false } = {}) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`${name} must be a distribution object`);
+  }
+  const required = { fixed: ['value'], exponential: ['mean'], weibull: ['shape', 'scale'] }[spec.distribution];
+  if (!required) {
+    throw new Error(`${name}: unknown distribution "${spec.distribution}"`);
+  }
+  // Weibull samples divide by the shape and scale with the scale, so both must be above zero.
+  const strict = positive || spec.distribution === 'weibull';
+  for (const key of required) {
+    if (typeof spec[key] !== 'number' || !Number.isFinite(spec[key]) || spec[key] < 0 || (strict && spec[key] === 0)) {
+      throw new Error(`${name}: ${spec.distribution} distribution needs a ${strict ? 'positive' : 'non-negative'} number "${key}"`);
+    }
+  }
+  return spec;
+}
+
+module.exports = { sampleDistribution, validateDistribution };
@@ -12,15 +12,17 @@ class ForwardToAllCloserForwardStrategy {
     forwardedMessagesIds,
     originNode,
     forceForwardingToKPeers,
-    emit
+    emit,
+    routing = null
   ) {
     const messageId = message.id;
     if (messageId && forwardedMessagesIds.has(messageId)) {
       console.log(`Message ${messageId} already forwarded; skipping`);
+      emit("duplicate", { messageId });
       return;
     }
     emit("nodeProcessesMessage");
-    const selfDistanceToTarget = KBucket.xorDistance(nodeId, recipient);
+    const selfDistanceToTarget = KBucket.distance(nodeId, recipient);
     const closest = buckets.closest(recipient, k);
 
     let peersToForward;
@@ -29,8 +31,8 @@ class ForwardToAllCloserForwardStrategy {
     } else {
       peersToForward = closest.filter(node => {
         if (node.id === sender || node.id === nodeId) return false;
-        const peerDistanceToTarget = KBucket.xorDistance(node.id, recipient);
-        return peerDistanceToTarget < selfDistanceToTarget;
+        const peerDistanceToTarget = KBucket.distance(node.id, recipient);
+        return Buffer.compare(peerDistanceToTarget, selfDistanceToTarget) < 0;
       });
     }
 
@@ -46,7 +48,8 @@ class ForwardToAllCloserForwardStrategy {
           sender,
           recipient,
           isSignaling ? null : message,
-          isSignaling ? message : null
+          isSignaling ? message : null,
+          routing
         );
         emit("forward", { sender: nodeId, recipient: node.id, message });
         forwarded = true;
@@ -0,0 +1,195 @@
+const EventEmitter = require('events');
+const { visualizationEmitter } = require('./visualization-event-emmiter.js');
+
+// Watches worker heartbeats and exits. A worker that stops sending heartbeats for
+// `hungTimeout` is reported as hung; one that exits without being asked to has crashed.
+// With `autoRestart`, both are restarted with exponential backoff until `maxRestarts`
+// consecutive failures, after which the worker is given up on.
+class HealthMonitor extends EventEmitter {
+  constructor(orchestrator, respawnPeer, opts = {}) {
+    super();
+    this.orchestrator = orchestrator;
+    this.respawnPeer = respawnPeer; // (index) => Promise, restarts a peer with its scenario profile
+    this.hungTimeout = opts.hungTimeout || 10 * 1000;
+    this.checkInterval = opts.checkInterval || 1000;
+    this.autoRestart = !!opts.autoRestart;
+    this.maxRestarts = opts.maxRestarts !== undefined ? opts.maxRestarts : 5;
+    this.backoff = { initial: 1000, max: 30 * 1000, multiplier: 2, ...opts.backoff };
+    this.resetAfter = opts.resetAfter || 60 * 1000; // uptime after which a worker's failures are forgiven
+    this.workers = new Map(); // peer index -> { state, restarts, failures, crashes, hangs, startedAt, restartTimer }
+    this.checkIntervalId = null;
+    this.lastCheck = null;
+    this.running = false;
+
+    this.onSpawn = (peer) => this.setState(peer.index, 'starting', { startedAt: Date.now() });
+    this.onReady = (peer) => this.setState(peer.index, 'healthy');
+    this.onHeartbeat = (peer) => {
+      if (this.getWorker(peer.index).state === 'hung') {
+        console.log(`Health: peer ${peer.index + 1} is responding again`);
+        this.setState(peer.index, peer.ready ? 'healthy' : 'starting');
+      }
+    };
+    this.onExit = (peer) => {
+      if (peer.stopping) {
+        this.setState(peer.index, 'stopped');
+      }
+    };
+    this.onCrash = (peer) => this.handleFailure(peer.index);
+  }
+
+  start() {
+    if (this.running) {
+      console.warn("HealthMonitor is already running");
+      return;
+    }
+    this.running = true;
+    this.orchestrator.on('peerSpawn', this.onSpawn);
+    this.orchestrator.on('peerReady', this.onReady);
+    this.orchestrator.on('heartbeat', this.onHeartbeat);
+    this.orchestrator.on('peerExit', this.onExit);
+    this.orchestrator.on('peerCrash', this.onCrash);
+    this.orchestrator.getLivePeers().forEach(peer => {
+      this.setState(peer.index, peer.ready ? 'healthy' : 'starting', { startedAt: Date.now() });
+    });
+    this.checkIntervalId = setInterval(() => this.checkHeartbeats(), this.checkInterval);
+    console.log(`HealthMonitor started (hung after ${this.hungTimeout} ms, auto-restart ${this.autoRestart ? 'on' : 'off'})`);
+  }
+
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    this.orchestrator.removeListener('peerSpawn', this.onSpawn);
+    this.orchestrator.removeListener('peerReady', this.onReady);
+    this.orchestrator.removeListener('heartbeat', this.onHeartbeat);
+    this.orchestrator.removeListener('peerExit', this.onExit);
+    this.orchestrator.removeListener('peerCrash', this.onCrash);
+    clearInterval(this.checkIntervalId);
+    this.checkIntervalId = null;
+    this.workers.forEach(worker => clearTimeout(worker.restartTimer));
+    console.log("HealthMonitor stopped");
+  }
+
+  getWorker(index) {
+    if (!this.workers.has(index)) {
+      this.workers.set(index, { state: 'starting', restarts: 0, failures: 0, crashes: 0, hangs: 0, startedAt: Date.now(), restartTimer: null });
+    }
+    return this.workers.get(index);
+  }
+
+  setState(index, state, fields = {}) {
+    const worker = Object.assign(this.getWorker(index), fields);
+    if (worker.state === state) {
+      return;
+    }
+    worker.state = state;
+    const peer = this.orchestrator.peers[index];
+    const event = {
+      type: 'health',
+      peerIndex: index,
+      peerId: peer ? peer.id : null,
+      state,
+      restarts: worker.restarts,
+      timestamp: Date.now()
+    };
+    this.emit('health', event);
+    visualizationEmitter.emit('visualizationEvent', event);
+  }
+
+  checkHeartbeats() {
+    const now = Date.now();
+    const lastCheck = this.lastCheck;
+    this.lastCheck = now;
+    if (lastCheck !== null && now - lastCheck > this.hungTimeout) {
+      // this process was blocked itself (always the case for a hang in in-process mode), so
+      // the heartbeats it missed say nothing about the workers
+      console.warn(`Health: check delayed by ${now - lastCheck} ms; skipping it`);
+      return;
+    }
+    this.orchestrator.getLivePeers().forEach(peer => {
+      const worker = this.getWorker(peer.index);
+      if (worker.state === 'hung' || peer.stopping || now - peer.lastHeartbeat < this.hungTimeout) {
+        return;
+      }
+      console.warn(`Health: peer ${peer.index + 1} sent no heartbeat for ${now - peer.lastHeartbeat} ms`);
+      worker.hangs++;
+      this.setState(peer.index, 'hung');
+      if (this.autoRestart) {
+        // the exit shows up as a crash, which schedules the restart
+        this.orchestrator.crashPeer(peer.index);
+      }
+    });
+  }
+
+  handleFailure(index) {
+    const worker = this.getWorker(index);
+    // a hung worker killed by checkHeartbeats keeps its state, so it isn't counted twice
+    const state = worker.state === 'hung' ? 'hung' : 'crashed';
+    if (state === 'crashed') {
+      worker.crashes++;
+    }
+    if (Date.now() - worker.startedAt >= this.resetAfter) {
+      worker.failures = 0;
+    }
+    worker.failures++;
+    if (!this.autoRestart) {
+      this.setState(index, state);
+      return;
+    }
+    if (worker.failures > this.maxRestarts) {
+      console.error(`Health: peer ${index + 1} failed ${worker.failures} times in a row; not restarting it again`);
+      this.setState(index, 'failed');
+      return;
+    }
+    const delay = Math.min(this.backoff.initial * Math.pow(this.backoff.multiplier, worker.failures - 1), this.backoff.max);
+    console.log(`Health: restarting peer ${index + 1} in ${delay} ms (attempt ${worker.failures} of ${this.maxRestarts})`);
+    this.setState(index, state);
+    clearTimeout(worker.restartTimer);
+    worker.restartTimer = setTimeout(() => this.restart(index), delay);
+  }
+
+  async restart(index) {
+    const worker = this.getWorker(index);
+    worker.restartTimer = null;
+    if (this.orchestrator.isAlive(index)) {
+      return; // started again by someone else in the meantime
+    }
+    worker.restarts++;
+    this.setState(index, 'restarting');
+    try {
+      await this.respawnPeer(index);
+    } catch (error) {
+      // a worker that died during startup was already reported through peerCrash
+      console.error(`Health: error restarting peer ${index + 1}:`, error.message);
+    }
+  }
+
+  getStates() {
+    return [...this.workers.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([index, worker]) => {
+        const peer = this.orchestrator.peers[index];
+        return {
+          peerIndex: index,
+          peerId: peer ? peer.id : null,
+          state: worker.state,
+          restarts: worker.restarts,
+          crashes: worker.crashes,
+          hangs: worker.hangs,
+          lastHeartbeat: peer && peer.process ? peer.lastHeartbeat : null
+        };
+      });
+  }
+
+  printSummary() {
+    const states = this.getStates();
+    const counts = {};
+    states.forEach(({ state }) => { counts[state] = (counts[state] || 0) + 1; });
+    const total = (key) => states.reduce((sum, worker) => sum + worker[key], 0);
+    console.log(`Health summary: ${Object.entries(counts).map(([state, count]) => `${count} ${state}`).join(', ') || 'no workers'}; ` +
+      `${total('crashes')} crashes, ${total('hangs')} hangs, ${total('restarts')} restarts`);
+  }
+}
+
+module.exports = { HealthMonitor };
@@ -0,0 +1,232 @@
+const { SignalingServer } = require('./signaling-server.js');
+
+// In-process replacement for @roamhq/wrtc and socket.io, used when all peers run in a single
+// process. It implements the subset of RTCPeerConnection, RTCDataChannel and the socket.io client
+// that WebRTCPeer uses. SDP carries the id of the offering connection instead of a session
+// description, no ICE candidates are gathered, and every delivery is asynchronous like the real thing.
+class InMemoryNetwork {
+  constructor({ maxInitialPeers = 10 } = {}) {
+    this.connections = new Map(); // connection id -> InMemoryPeerConnection
+    this.nextConnectionId = 1;
+    // reuses the signaling logic of the local server, only without socket.io underneath
+    this.signalingServer = new SignalingServer({ maxInitialPeers });
+  }
+
+  createPeerConnection() {
+    const connection = new InMemoryPeerConnection(this, this.nextConnectionId++);
+    this.connections.set(connection.id, connection);
+    return connection;
+  }
+
+  connectSignaling() {
+    const { client, server } = createSocketPair();
+    this.signalingServer.handleConnection(server);
+    setImmediate(() => client.receive('connect'));
+    return client;
+  }
+}
+
+class InMemoryPeerConnection {
+  constructor(network, id) {
+    this.network = network;
+    this.id = id;
+    this.remote = null;
+    this.channels = new Map(); // label -> InMemoryDataChannel
+    this.localDescription = null;
+    this.remoteDescription = null;
+    this.signalingState = 'stable';
+    this.iceConnectionState = 'new';
+    this.connectionState = 'new';
+    this.onicecandidate = null;
+    this.oniceconnectionstatechange = null;
+    this.onconnectionstatechange = null;
+    this.ondatachannel = null;
+  }
+
+  createDataChannel(label) {
+    const channel = new InMemoryDataChannel(label);
+    this.channels.set(label, channel);
+    if (this.connectionState === 'connected') {
+      setImmediate(() => this.openChannel(channel));
+    }
+    return channel;
+  }
+
+  async createOffer() {
+    return { type: 'offer', sdp: `in-memory ${this.id}` };
+  }
+
+  async createAnswer() {
+    if (this.signalingState !== 'have-remote-offer') {
+      throw new Error(`Cannot create answer in signaling state ${this.signalingState}`);
+    }
+    return { type: 'answer', sdp: `in-memory ${this.id}` };
+  }
+
+  async setLocalDescription(description) {
+    this.localDescription = description;
+    this.signalingState = description.type === 'offer' ? 'have-local-offer' : 'stable';
+  }
+
+  async setRemoteDescription(description) {
+    const remote = this.network.connections.get(parseInt(description.sdp.split(' ')[1]));
+    if (!remote || remote.signalingState === 'closed') {
+      throw new Error(`Remote connection for ${description.type} no longer exists`);
+    }
+    this.remote = remote;
+    this.remoteDescription = description;
+    if (description.type === 'offer') {
+      this.signalingState = 'have-remote-offer';
+    } else {
+      this.signalingState = 'stable';
+      setImmediate(() => this.connect());
+    }
+  }
+
+  async addIceCandidate() {}
+
+  // runs on the offering side once the answer is applied
+  connect() {
+    if (this.signalingState === 'closed' || this.remote.signalingState === 'closed') {
+      return;
+    }
+    for (const side of [this, this.remote]) {
+      side.iceConnectionState = 'connected';
+      side.connectionState = 'connected';
+      if (side.oniceconnectionstatechange) side.oniceconnectionstatechange();
+      if (side.onconnectionstatechange) side.onconnectionstatechange();
+    }
+    for (const channel of this.channels.values()) {
+      this.openChannel(channel);
+    }
+  }
+
+  openChannel(channel) {
+    if (channel.remote || !this.remote || this.remote.signalingState === 'closed') {
+      return;
+    }
+    const remoteChannel = new InMemoryDataChannel(channel.label);
+    this.remote.channels.set(channel.label, remoteChannel);
+    channel.remote = remoteChannel;
+    remoteChannel.remote = channel;
+    if (this.remote.ondatachannel) {
+      this.remote.ondatachannel({ channel: remoteChannel });
+    }
+    channel.open();
+    remoteChannel.open();
+  }
+
+  close() {
+    if (this.signalingState === 'closed') {
+      return;
+    }
+    this.signalingState = 'closed';
+    this.iceConnectionState = 'closed';
+    this.connectionState = 'closed';
+    this.network.connections.delete(this.id);
+    for (const channel of this.channels.values()) {
+      channel.close();
+    }
+    const remote = this.remote;
+    if (remote && remote.signalingState !== 'closed') {
+      // the other side notices the lost connection the way ICE would report it
+      setImmediate(() => {
+        if (remote.signalingState === 'closed') return;
+        remote.iceConnectionState = 'disconnected';
+        if (remote.oniceconnectionstatechange) remote.oniceconnectionstatechange();
+      });
+    }
+  }
+}
+
+class InMemoryDataChannel {
+  constructor(label) {
+    this.label = label;
+    this.readyState = 'connecting';
+    this.bufferedAmount = 0;
+    this.remote = null;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+    this.onerror = null;
+  }
+
+  open() {
+    if (this.readyState !== 'connecting') return;
+    this.readyState = 'open';
+    if (this.onopen) this.onopen();
+  }
+
+  send(data) {
+    if (this.readyState !== 'open') {
+      throw new Error(`RTCDataChannel.readyState is not 'open'`);
+    }
+    const remote = this.remote;
+    setImmediate(() => {
+      if (remote.readyState === 'open' && remote.onmessage) {
+        remote.onmessage({ data });
+      }
+    });
+  }
+
+  close() {
+    if (this.readyState === 'closed') return;
+    this.readyState = 'closed';
+    setImmediate(() => {
+      if (this.onclose) this.onclose();
+    });
+    if (this.remote) {
+      this.remote.close();
+    }
+  }
+}
+
+// Two connected ends with the socket.io surface used here: `on` registers a handler, `emit`
+// delivers to the other end, `disconnect` fires `disconnect` on both.
+function createSocketPair() {
+  const client = new InMemorySocket();
+  const server = new InMemorySocket();
+  client.peer = server;
+  server.peer = client;
+  return { client, server };
+}
+
+class InMemorySocket {
+  constructor() {
+    this.peer = null;
+    this.handlers = new Map(); // event -> handlers
+    this.connected = true;
+  }
+
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, []);
+    }
+    this.handlers.get(event).push(handler);
+    return this;
+  }
+
+  emit(event, data) {
+    if (!this.connected) return this;
+    setImmediate(() => this.peer.receive(event, data));
+    return this;
+  }
+
+  receive(event, data) {
+    if (!this.connected && event !== 'disconnect') return;
+    (this.handlers.get(event) || []).forEach(handler => handler(data));
+  }
+
+  disconnect() {
+    if (!this.connected) return this;
+    this.connected = false;
+    this.peer.connected = false;
+    setImmediate(() => {
+      this.receive('disconnect');
+      this.peer.receive('disconnect');
+    });
+    return this;
+  }
+}
+
+module.exports = { InMemoryNetwork, InMemoryPeerConnection, InMemoryDataChannel };
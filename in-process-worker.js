@@ -0,0 +1,68 @@
+const EventEmitter = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { runPeerWorker } = require('./peer-worker.js');
+
+// Everything a peer runs (including its timers and the deliveries it triggers) carries its
+// index in this context, which lets in-process mode keep the console to orchestrator output.
+const peerContext = new AsyncLocalStorage();
+
+function silencePeerLogs() {
+  for (const method of ['log', 'info', 'warn', 'debug']) {
+    const original = console[method];
+    console[method] = (...args) => {
+      if (peerContext.getStore() === undefined) {
+        original.apply(console, args);
+      }
+    };
+  }
+}
+
+// Stands in for the ChildProcess returned by fork(): `send`, `kill` and the `message` and
+// `exit` events. Messages are cloned and delivered asynchronously, like IPC.
+class InProcessWorker extends EventEmitter {
+  constructor(index, transport) {
+    super();
+    this.index = index;
+    this.exited = false;
+    this.workerSide = new EventEmitter();
+    this.worker = peerContext.run(index, () => runPeerWorker({
+      on: (event, handler) => this.workerSide.on(event, handler),
+      send: (msg, callback) => {
+        this.receive(msg);
+        if (callback) setImmediate(callback);
+      },
+      exit: (code) => this.exit(code, null)
+    }, { transport }));
+  }
+
+  send(msg) {
+    if (this.exited) return false;
+    const clone = structuredClone(msg);
+    peerContext.run(this.index, () => setImmediate(() => {
+      if (!this.exited) this.workerSide.emit('message', clone);
+    }));
+    return true;
+  }
+
+  receive(msg) {
+    if (this.exited) return;
+    const clone = structuredClone(msg);
+    peerContext.exit(() => setImmediate(() => this.emit('message', clone)));
+  }
+
+  kill(signal = 'SIGTERM') {
+    if (this.exited) return false;
+    peerContext.run(this.index, () => this.worker.disconnect());
+    this.exit(null, signal);
+    return true;
+  }
+
+  exit(code, signal) {
+    if (this.exited) return;
+    this.exited = true;
+    this.workerSide.removeAllListeners();
+    peerContext.exit(() => setImmediate(() => this.emit('exit', code, signal)));
+  }
+}
+
+module.exports = { InProcessWorker, silencePeerLogs };
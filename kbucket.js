@@ -1,56 +1,262 @@
-class KBucket {
-  constructor(localId, k = 20) {
+const EventEmitter = require('events');
+
+const EVICTION_POLICIES = ['pingBeforeEvict', 'evictOldest'];
+
+// Each bucket is ordered from least to most recently seen. When a bucket is full, the
+// `pingBeforeEvict` policy (Kademlia's) keeps the newcomer in the bucket's replacement cache
+// and pings the least recently seen contact, which is only evicted, in favour of the most
+// recent replacement, if it doesn't answer. `evictOldest` drops that contact right away.
+class KBucket extends EventEmitter {
+  constructor(localId, k = 20, opts = {}) {
+    super();
     this.buckets = Array(160).fill(null).map(() => []);
+    this.replacements = Array(160).fill(null).map(() => []);
+    this.contacts = new Map(); // node id -> contact, for every contact in the buckets
     this.localId = localId;
+    this.localKey = Buffer.from(localId, "hex");
     this.k = k;
+    this.evictionPolicy = opts.evictionPolicy || 'pingBeforeEvict';
+    if (!EVICTION_POLICIES.includes(this.evictionPolicy)) {
+      throw new Error(`Unknown eviction policy: ${this.evictionPolicy}`);
+    }
+    this.replacementCacheSize = opts.replacementCacheSize !== undefined ? opts.replacementCacheSize : k;
+    this.ping = opts.ping || (async () => true); // (node) => Promise<boolean>
+    this.isAlive = opts.isAlive || (() => true); // (node) => boolean, whether a replacement can be promoted
+    this.pendingPings = new Set(); // indexes of buckets whose oldest contact is being pinged
+    this.lastTouched = Array(160).fill(Date.now()); // when each bucket last saw a contact or lookup
   }
 
-  static xorDistance(id1, id2) {
-    const b1 = Buffer.from(id1, "hex");
-    const b2 = Buffer.from(id2, "hex");
+  // XOR distance as a Buffer; Buffers of equal length compare (Buffer.compare) as numbers.
+  static distance(id1, id2) {
+    const b1 = typeof id1 === "string" ? Buffer.from(id1, "hex") : id1;
+    const b2 = typeof id2 === "string" ? Buffer.from(id2, "hex") : id2;
     const result = Buffer.alloc(b1.length);
     for (let i = 0; i < b1.length; i++) result[i] = b1[i] ^ b2[i];
-    return result.toString("hex");
+    return result;
+  }
+
+  // The same as a hex string, for code that reads the leading digits (see cache-strategy.js).
+  static xorDistance(id1, id2) {
+    return KBucket.distance(id1, id2).toString("hex");
+  }
+
+  // Compares the distances of two ids (as Buffers) to `target` without computing them.
+  static compareDistance(a, b, target) {
+    for (let i = 0; i < target.length; i++) {
+      const difference = (a[i] ^ target[i]) - (b[i] ^ target[i]);
+      if (difference !== 0) return difference;
+    }
+    return 0;
+  }
+
+  // Sorts node ids by their distance to `target`, closest first.
+  static sortByDistance(ids, target) {
+    const targetKey = Buffer.from(target, "hex");
+    return ids
+      .map(id => ({ id, distance: KBucket.distance(id, targetKey) }))
+      .sort((a, b) => Buffer.compare(a.distance, b.distance))
+      .map(d => d.id);
   }
 
   sortClosestToSelf(peerIds) {
-    const distances = peerIds.map((peerId) => ({
-      peerId,
-      distance: KBucket.xorDistance(this.localId, peerId),
-    }));
-    distances.sort((a, b) => a.distance.localeCompare(b.distance)); // Hex string comparison
-    return distances.map((d) => d.peerId);
-  }
-
-  add(node) {
-    if (node.id === this.localId) return;
-    const distance = KBucket.xorDistance(this.localId, node.id);
-    const bucketIndex = this.bucketIndex(distance);
+    return KBucket.sortByDistance(peerIds, this.localId);
+  }
+
+  // Adds a contact, or moves a known one to the tail of its bucket, as seen at `lastSeen`.
+  // Returns 'updated' for a known contact, 'added' when the contact joined its bucket,
+  // 'replacement' when its bucket was full and it only went into the replacement cache, and
+  // null for the local id.
+  add(node, lastSeen = Date.now()) {
+    if (node.id === this.localId) return null;
+    const bucketIndex = this.indexOf(node.id);
     const bucket = this.buckets[bucketIndex];
-    if (!bucket.some(n => n.id === node.id)) {
-      if (bucket.length < this.k) bucket.push(node);
-      else {
-        bucket.shift();
-        bucket.push(node);
+    this.lastTouched[bucketIndex] = Math.max(this.lastTouched[bucketIndex], lastSeen);
+    const known = this.contacts.get(node.id);
+    if (known) {
+      bucket.splice(bucket.indexOf(known), 1);
+      known.lastSeen = Math.max(known.lastSeen, lastSeen);
+      bucket.push(known);
+      return 'updated';
+    }
+    const contact = { id: node.id, key: Buffer.from(node.id, "hex"), lastSeen };
+    if (bucket.length < this.k || this.evictionPolicy === 'evictOldest') {
+      // a demoted contact that comes back leaves the replacement cache
+      this.replacements[bucketIndex] = this.replacements[bucketIndex].filter(n => n.id !== node.id);
+      if (bucket.length >= this.k) {
+        const evicted = bucket.shift();
+        this.contacts.delete(evicted.id);
+        this.emit('evicted', evicted, contact);
       }
+      bucket.push(contact);
+      this.contacts.set(contact.id, contact);
+      return 'added';
+    }
+    this.addReplacement(bucketIndex, contact);
+    this.pingOldest(bucketIndex);
+    return 'replacement';
+  }
+
+  get(id) {
+    return this.contacts.get(id) || null;
+  }
+
+  has(id) {
+    return this.contacts.has(id);
+  }
+
+  get size() {
+    return this.contacts.size;
+  }
+
+  // Takes a contact out of its bucket, e.g. because its connection closed. It is demoted to the
+  // front of the replacement cache, so it only comes back when nothing better is left, and the
+  // most recent live replacement takes its place. Returns the removed contact, or null.
+  remove(id) {
+    const contact = this.contacts.get(id);
+    if (!contact) {
+      return null;
     }
+    const bucketIndex = this.indexOf(id);
+    const bucket = this.buckets[bucketIndex];
+    bucket.splice(bucket.indexOf(contact), 1);
+    this.contacts.delete(id);
+    const replacement = this.promoteReplacement(bucketIndex);
+    const replacements = this.replacements[bucketIndex];
+    if (replacements.length < this.replacementCacheSize) {
+      replacements.unshift(contact);
+    }
+    this.emit('removed', contact, replacement);
+    return contact;
+  }
+
+  addReplacement(bucketIndex, node) {
+    if (this.replacementCacheSize === 0) return;
+    const replacements = this.replacements[bucketIndex].filter(n => n.id !== node.id);
+    replacements.push(node);
+    if (replacements.length > this.replacementCacheSize) {
+      replacements.shift();
+    }
+    this.replacements[bucketIndex] = replacements;
+  }
+
+  // Moves the most recently seen replacement that is still alive into the bucket.
+  promoteReplacement(bucketIndex) {
+    const replacements = this.replacements[bucketIndex];
+    for (let i = replacements.length - 1; i >= 0; i--) {
+      if (this.isAlive(replacements[i])) {
+        const [replacement] = replacements.splice(i, 1);
+        this.buckets[bucketIndex].push(replacement);
+        this.contacts.set(replacement.id, replacement);
+        return replacement;
+      }
+    }
+    return null;
+  }
+
+  async pingOldest(bucketIndex) {
+    if (this.pendingPings.has(bucketIndex)) return;
+    this.pendingPings.add(bucketIndex);
+    const oldest = this.buckets[bucketIndex][0];
+    let alive = false;
+    try {
+      alive = await this.ping(oldest);
+    } catch (error) {
+      console.error(`Error pinging ${oldest.id}:`, error);
+    }
+    this.pendingPings.delete(bucketIndex);
+    const bucket = this.buckets[bucketIndex];
+    if (!bucket.includes(oldest)) return; // removed in the meantime
+    if (alive) {
+      this.add(oldest);
+    } else {
+      bucket.splice(bucket.indexOf(oldest), 1);
+      this.contacts.delete(oldest.id);
+      this.emit('evicted', oldest, this.promoteReplacement(bucketIndex));
+    }
+  }
+
+  // Non-empty buckets that have seen neither a contact nor a lookup for `interval` ms.
+  staleBuckets(interval) {
+    const now = Date.now();
+    return this.buckets
+      .map((bucket, index) => index)
+      .filter(index => this.buckets[index].length > 0 && now - this.lastTouched[index] >= interval);
+  }
+
+  touchBucket(id) {
+    this.lastTouched[this.indexOf(id)] = Date.now();
+  }
+
+  // A random id that falls into bucket `index`: it shares the first `index` bits with the
+  // local id and differs in the next one.
+  randomIdInBucket(index, random = Math.random) {
+    const id = Buffer.from(this.localId, "hex");
+    const byte = Math.floor(index / 8);
+    const bit = 7 - (index % 8);
+    const keep = 0xff << (bit + 1) & 0xff; // the bits before the one that differs
+    id[byte] = (id[byte] & keep) | (~id[byte] & (1 << bit)) | (Math.floor(random() * 256) & ((1 << bit) - 1));
+    for (let i = byte + 1; i < id.length; i++) id[i] = Math.floor(random() * 256);
+    return id.toString("hex");
+  }
+
+  // The number of leading zero bits of `distance` (a Buffer or hex string), which is the
+  // index of the bucket a node at that distance belongs to; 160 for the local id itself.
+  static prefixLength(distance) {
+    const d = typeof distance === "string" ? Buffer.from(distance, "hex") : distance;
+    for (let i = 0; i < d.length; i++) {
+      if (d[i] !== 0) return i * 8 + Math.clz32(d[i]) - 24;
+    }
+    return d.length * 8;
   }
 
   bucketIndex(distance) {
-    const d = Buffer.from(distance, "hex");
-    for (let i = 0; i < d.length; i++)
-      for (let j = 7; j >= 0; j--)
-        if ((d[i] & (1 << j)) !== 0) return i * 8 + (7 - j);
-    return 0;
+    return Math.min(KBucket.prefixLength(distance), this.buckets.length - 1);
   }
 
+  indexOf(id) {
+    return this.bucketIndex(KBucket.distance(this.localKey, id));
+  }
+
+  // Walks the buckets outward from the target's, instead of sorting the whole table. With
+  // j = the target's bucket index, the nodes in bucket j share more leading bits with the
+  // target than any other node; the nodes in buckets above j all share exactly j bits with
+  // it; and a node in bucket i < j shares exactly i bits. So the buckets are visited in the
+  // order j, (all above j), j - 1, ..., 0, and each group only needs sorting on its own.
   closest(target, k = this.k) {
-    const distances = this.all().map(node => ({
-      node,
-      distance: KBucket.xorDistance(node.id, target)
-    }));
-    distances.sort((a, b) => a.distance.localeCompare(b.distance));
-    return distances.slice(0, k).map(d => d.node);
+    const targetKey = Buffer.from(target, "hex");
+    const j = KBucket.prefixLength(KBucket.distance(this.localKey, targetKey));
+    const compare = (a, b) => KBucket.compareDistance(a.key, b.key, targetKey);
+    const result = [];
+    // adds the closest of `contacts` still needed, keeping only that many sorted at a time
+    const take = (contacts) => {
+      const needed = k - result.length;
+      if (contacts.length <= needed) {
+        result.push(...contacts.slice().sort(compare));
+        return;
+      }
+      const best = [];
+      for (const contact of contacts) {
+        if (best.length === needed && compare(contact, best[needed - 1]) >= 0) continue;
+        let low = 0;
+        let high = best.length;
+        while (low < high) {
+          const middle = (low + high) >> 1;
+          if (compare(best[middle], contact) < 0) low = middle + 1;
+          else high = middle;
+        }
+        best.splice(low, 0, contact);
+        if (best.length > needed) best.pop();
+      }
+      result.push(...best);
+    };
+    if (j < this.buckets.length) {
+      take(this.buckets[j]);
+      if (result.length < k) take(this.buckets.slice(j + 1).flat());
+    }
+    for (let i = Math.min(j, this.buckets.length) - 1; i >= 0 && result.length < k; i--) {
+      take(this.buckets[i]);
+    }
+    return result;
   }
 
   all() {
@@ -58,4 +264,4 @@ class KBucket {
   }
 }
 
-module.exports = { default: KBucket };
\ No newline at end of file
+module.exports = { default: KBucket, EVICTION_POLICIES };
\ No newline at end of file
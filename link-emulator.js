@@ -0,0 +1,235 @@
+// Emulates imperfect links on top of the (localhost, instant, lossless) data channels.
+// Link parameters: latency and jitter in ms, loss as a probability, bandwidth in bytes/s.
+const DEFAULT_LINK = { latency: 0, jitter: 0, loss: 0, bandwidth: Infinity };
+// Channels whose traffic is blocked between the groups of a network partition.
+const PARTITIONED_LABELS = ['dht', 'pex', 'signaling'];
+
+class LinkEmulator {
+  constructor(opts = {}, { localIndex = null, getPeerIndex = () => undefined, getLocation = () => null, random = Math.random } = {}) {
+    this.defaultLink = { ...DEFAULT_LINK, ...opts.default };
+    this.geo = opts.geo || null; // { baseLatency, msPerKm }
+    this.pairs = opts.pairs || []; // [{ peers: [indexA, indexB], ...linkParams }]
+    this.enabled = !!(opts.default || opts.geo || this.pairs.length > 0);
+    this.localIndex = localIndex;
+    this.getPeerIndex = getPeerIndex;
+    this.getLocation = getLocation;
+    this.random = random;
+    this.linkState = new Map(); // remote peerId -> { nextFreeTime }
+    this.partitionGroups = null; // [[peerIndex, ...], ...]; peers in no group form one more group
+  }
+
+  wrap(dataChannel, remotePeerId) {
+    if (dataChannel instanceof EmulatedDataChannel) {
+      return dataChannel;
+    }
+    return new EmulatedDataChannel(dataChannel, remotePeerId, this);
+  }
+
+  setPartition(groups) {
+    this.partitionGroups = groups && groups.length > 0 ? groups : null;
+  }
+
+  isPartitioned(remotePeerId) {
+    if (!this.partitionGroups || this.localIndex === null) {
+      return false;
+    }
+    const remoteIndex = this.getPeerIndex(remotePeerId);
+    if (remoteIndex === undefined) {
+      return false;
+    }
+    const groupOf = (index) => this.partitionGroups.findIndex(group => group.includes(index));
+    return groupOf(this.localIndex) !== groupOf(remoteIndex);
+  }
+
+  getLinkParams(remotePeerId) {
+    const params = { ...this.defaultLink };
+
+    if (this.geo) {
+      const distanceKm = this.getDistanceKm(remotePeerId);
+      if (distanceKm !== null) {
+        params.latency = (this.geo.baseLatency || 0) + distanceKm * (this.geo.msPerKm || 0);
+      }
+    }
+
+    const remoteIndex = this.getPeerIndex(remotePeerId);
+    if (this.localIndex !== null && remoteIndex !== undefined) {
+      const pair = this.pairs.find(({ peers }) =>
+        (peers[0] === this.localIndex && peers[1] === remoteIndex) ||
+        (peers[1] === this.localIndex && peers[0] === remoteIndex)
+      );
+      if (pair) {
+        const { peers, ...pairParams } = pair;
+        Object.assign(params, pairParams);
+      }
+    }
+    return params;
+  }
+
+  getDistanceKm(remotePeerId) {
+    const local = this.getLocation(null);
+    const remote = this.getLocation(remotePeerId);
+    if (!hasCoordinates(local) || !hasCoordinates(remote)) {
+      return null;
+    }
+    return haversineKm(local.latitude, local.longitude, remote.latitude, remote.longitude);
+  }
+
+  // Returns the delay in ms after which a message of `size` bytes arrives, or null when it is lost.
+  scheduleSend(remotePeerId, size) {
+    const params = this.getLinkParams(remotePeerId);
+    if (params.loss > 0 && this.random() < params.loss) {
+      return null;
+    }
+
+    const now = Date.now();
+    const state = this.linkState.get(remotePeerId) || { nextFreeTime: now };
+    const transmissionTime = params.bandwidth === Infinity ? 0 : size * 1000 / params.bandwidth;
+    const departure = Math.max(now, state.nextFreeTime) + transmissionTime;
+    state.nextFreeTime = departure;
+    this.linkState.set(remotePeerId, state);
+
+    const jitter = params.jitter ? (this.random() * 2 - 1) * params.jitter : 0;
+    return Math.max(0, departure - now + params.latency + jitter);
+  }
+}
+
+// Mimics the RTCDataChannel surface used by WebRTCPeer and WebRTCRPC, delaying or dropping send().
+// Without link parameters it only drops traffic crossing a partition.
+class EmulatedDataChannel {
+  constructor(channel, remotePeerId, emulator) {
+    this.channel = channel;
+    this.remotePeerId = remotePeerId;
+    this.emulator = emulator;
+    this.lastDeliveryTime = 0; // keeps the channel ordered despite jitter
+  }
+
+  get label() { return this.channel.label; }
+  get readyState() { return this.channel.readyState; }
+  get bufferedAmount() { return this.channel.bufferedAmount; }
+
+  get onopen() { return this.channel.onopen; }
+  set onopen(handler) { this.channel.onopen = handler; }
+  get onmessage() { return this.channel.onmessage; }
+  set onmessage(handler) { this.channel.onmessage = handler; }
+  get onclose() { return this.channel.onclose; }
+  set onclose(handler) { this.channel.onclose = handler; }
+  get onerror() { return this.channel.onerror; }
+  set onerror(handler) { this.channel.onerror = handler; }
+
+  send(data) {
+    if (this.channel.readyState !== 'open') {
+      // let the underlying channel raise the same error it would without emulation
+      return this.channel.send(data);
+    }
+    if (this.isBlocked()) {
+      return;
+    }
+    if (!this.emulator.enabled) {
+      return this.channel.send(data);
+    }
+
+    const size = typeof data === 'string' ? Buffer.byteLength(data) : data.byteLength || data.length || 0;
+    const delay = this.emulator.scheduleSend(this.remotePeerId, size);
+    if (delay === null) {
+      return;
+    }
+
+    const deliveryTime = Math.max(Date.now() + delay, this.lastDeliveryTime);
+    this.lastDeliveryTime = deliveryTime;
+    setTimeout(() => {
+      if (this.channel.readyState === 'open' && !this.isBlocked()) {
+        this.channel.send(data);
+      }
+    }, deliveryTime - Date.now());
+  }
+
+  isBlocked() {
+    return PARTITIONED_LABELS.includes(this.channel.label) && this.emulator.isPartitioned(this.remotePeerId);
+  }
+
+  close() {
+    this.channel.close();
+  }
+}
+
+// Coordinates of 0 (equator or prime meridian) are valid, so only non-numbers count as missing.
+function hasCoordinates(location) {
+  return !!location && typeof location.latitude === 'number' && typeof location.longitude === 'number';
+}
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Checks a scenario's `links` section, since a misspelt or negative parameter would otherwise be
+// ignored or turn the delays into NaN.
+function validateLinks(links) {
+  if (!links || typeof links !== 'object' || Array.isArray(links)) {
+    throw new Error('Scenario links must be an object');
+  }
+  checkKeys(links, ['default', 'geo', 'pairs'], 'links');
+  if (links.default !== undefined) {
+    validateLinkParams(links.default, 'links.default');
+  }
+  if (links.geo !== undefined) {
+    if (!links.geo || typeof links.geo !== 'object') {
+      throw new Error('links.geo must be an object');
+    }
+    checkKeys(links.geo, ['baseLatency', 'msPerKm'], 'links.geo');
+    for (const key of ['baseLatency', 'msPerKm']) {
+      if (key in links.geo && !isNonNegative(links.geo[key])) {
+        throw new Error(`links.geo.${key} must be a non-negative number`);
+      }
+    }
+  }
+  if (links.pairs !== undefined) {
+    if (!Array.isArray(links.pairs)) {
+      throw new Error('links.pairs must be an array');
+    }
+    links.pairs.forEach((pair, i) => {
+      const name = `links.pairs[${i}]`;
+      if (!pair || !Array.isArray(pair.peers) || pair.peers.length !== 2 ||
+          !pair.peers.every(index => Number.isInteger(index) && index >= 0)) {
+        throw new Error(`${name} needs peers as two peer indexes`);
+      }
+      const { peers, ...params } = pair;
+      validateLinkParams(params, name);
+    });
+  }
+  return links;
+}
+
+function validateLinkParams(params, name) {
+  if (!params || typeof params !== 'object') {
+    throw new Error(`${name} must be an object`);
+  }
+  checkKeys(params, Object.keys(DEFAULT_LINK), name);
+  for (const key of ['latency', 'jitter']) {
+    if (key in params && !isNonNegative(params[key])) {
+      throw new Error(`${name}.${key} must be a non-negative number of ms`);
+    }
+  }
+  if ('loss' in params && !(isNonNegative(params.loss) && params.loss <= 1)) {
+    throw new Error(`${name}.loss must be a probability between 0 and 1`);
+  }
+  if ('bandwidth' in params && !(isNonNegative(params.bandwidth) && params.bandwidth > 0)) {
+    throw new Error(`${name}.bandwidth must be a positive number of bytes per second`);
+  }
+}
+
+function checkKeys(object, allowed, name) {
+  const unknown = Object.keys(object).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`${name}: unknown ${unknown.length === 1 ? 'key' : 'keys'} ${unknown.join(', ')} (expected ${allowed.join(', ')})`);
+  }
+}
+
+function isNonNegative(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+module.exports = { LinkEmulator, EmulatedDataChannel, haversineKm, validateLinks };
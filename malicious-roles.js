@@ -0,0 +1,192 @@
+const EventEmitter = require('events');
+const { v4: uuid } = require('uuid');
+const { uuidOptions } = require('./seeded-random.js');
+
+// A role decides what a node does with the DHT messages it relays for others, including the
+// cached messages leaving nodes hand off to it (type 'cache'), and may act on its own through
+// the DHT it is started with. `relay` returns the message to pass on, or null to drop it.
+// Honest nodes relay everything unchanged.
+class PeerRole extends EventEmitter {
+  constructor(opts = {}, random = Math.random) {
+    super();
+    this.opts = opts;
+    this.random = random;
+    this.timers = [];
+  }
+
+  start(dht) {
+    this.dht = dht;
+  }
+
+  relay(rpcMessage) {
+    return rpcMessage;
+  }
+
+  // Chat messages being relayed, or handed off to be cached; everything else is signaling.
+  isChatMessage(rpcMessage) {
+    return rpcMessage.type === 'message' || rpcMessage.type === 'cache';
+  }
+
+  every(interval, action) {
+    this.timers.push(setInterval(action, interval));
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  // Ids and junk are drawn from the role's random, so seeded runs repeat them.
+  randomHex(bytes) {
+    return Array.from({ length: bytes }, () => Math.floor(this.random() * 256).toString(16).padStart(2, '0')).join('');
+  }
+
+  randomNodeId() {
+    return this.randomHex(20);
+  }
+
+  randomMessageId() {
+    return uuid(uuidOptions(this.random));
+  }
+}
+
+class HonestRole extends PeerRole {}
+
+// Drops every chat and signaling message it should pass on, and every cached message handed
+// off to it.
+class BlackholeRole extends PeerRole {
+  relay(rpcMessage) {
+    return null;
+  }
+}
+
+// Drops chat messages with `dropProbability` (default 0.5), only those from or to the peer
+// indexes in `targets` when given. Signaling passes, so the node keeps its connections.
+class SelectiveDropperRole extends PeerRole {
+  constructor(opts, random) {
+    super(opts, random);
+    this.dropProbability = opts.dropProbability !== undefined ? opts.dropProbability : 0.5;
+    this.targets = Array.isArray(opts.targets) ? opts.targets : null;
+    this.getPeerIndex = opts.getPeerIndex || (() => undefined);
+  }
+
+  relay(rpcMessage) {
+    if (!this.isChatMessage(rpcMessage)) {
+      return rpcMessage;
+    }
+    const targeted = !this.targets ||
+      [rpcMessage.sender, rpcMessage.recipient].some(peerId => this.targets.includes(this.getPeerIndex(peerId)));
+    return targeted && this.random() < this.dropProbability ? null : rpcMessage;
+  }
+}
+
+// Passes chat messages on with a rewritten `encryptedMessage`.
+class TampererRole extends PeerRole {
+  relay(rpcMessage) {
+    if (!this.isChatMessage(rpcMessage)) {
+      return rpcMessage;
+    }
+    this.emit('tampered', { messageId: rpcMessage.message.id });
+    return {
+      ...rpcMessage,
+      message: { ...rpcMessage.message, encryptedMessage: this.opts.replacement || `tampered by ${this.dht.nodeId}` }
+    };
+  }
+}
+
+// Relays honestly, but sends every chat message it relayed again `replays` times (default 3),
+// every `interval` ms (default 5000).
+class ReplayerRole extends PeerRole {
+  constructor(opts, random) {
+    super(opts, random);
+    this.replays = opts.replays || 3;
+    this.recorded = new Map(); // message id -> { rpcMessage, routing, remaining }
+  }
+
+  start(dht) {
+    super.start(dht);
+    this.every(this.opts.interval || 5000, () => this.replay());
+  }
+
+  relay(rpcMessage) {
+    if (this.isChatMessage(rpcMessage) && !this.recorded.has(rpcMessage.message.id)) {
+      // replayed copies carry on the recorded route and hop limit, like the relayed original
+      const routing = this.dht.getRelayRouting(rpcMessage);
+      if (routing.hopLimit === null || routing.hopLimit > 0) {
+        this.recorded.set(rpcMessage.message.id, { rpcMessage, routing, remaining: this.replays });
+      }
+    }
+    return rpcMessage;
+  }
+
+  // Sent straight to the closest nodes: going through the DHT's forwarding would skip
+  // messages this node has forwarded already.
+  replay() {
+    for (const [messageId, entry] of this.recorded) {
+      const { sender, recipient, message } = entry.rpcMessage;
+      console.log(`Replaying message ${messageId} to ${recipient}`);
+      this.emit('replayed', { messageId });
+      this.dht.buckets.closest(recipient, this.dht.k).forEach(node => {
+        this.dht.rpc.sendMessage(node, sender, recipient, message, null, entry.routing);
+      });
+      if (--entry.remaining === 0) {
+        this.recorded.delete(messageId);
+      }
+    }
+  }
+}
+
+// Floods the DHT with signaling messages for random node ids: `count` (default 5) every
+// `interval` ms (default 1000).
+class SignalingSpammerRole extends PeerRole {
+  start(dht) {
+    super.start(dht);
+    this.every(this.opts.interval || 1000, () => {
+      for (let i = 0; i < (this.opts.count || 5); i++) {
+        const signalingMessage = { id: this.randomMessageId(), type: 'offer', from: dht.nodeId, junk: this.randomHex(64) };
+        dht.sendSignalingMessage(this.randomNodeId(), signalingMessage);
+      }
+    });
+  }
+}
+
+// Offers junk messages to every live neighbour through the cache handoff RPC, addressed to
+// made-up ids next to the neighbour's own, so they are never delivered: `count` (default 10)
+// per neighbour every `interval` ms (default 2000). The acks it doesn't need are only awaited,
+// on the rpc's pending replies, until the next round.
+class CachePoisonerRole extends PeerRole {
+  start(dht) {
+    super.start(dht);
+    const interval = this.opts.interval || 2000;
+    this.every(interval, () => {
+      for (const [nodeId, dataChannel] of dht.rpc.dataChannels) {
+        if (dataChannel.readyState !== 'open') continue;
+        for (let i = 0; i < (this.opts.count || 10); i++) {
+          const recipient = nodeId.slice(0, -8) + this.randomNodeId().slice(-8);
+          const message = { id: this.randomMessageId(), senderId: dht.nodeId, encryptedMessage: 'junk', timestamp: Date.now() };
+          dht.rpc.offerCachedMessage({ id: nodeId }, dht.nodeId, recipient, message, null, interval);
+        }
+      }
+    });
+  }
+}
+
+const ROLES = {
+  honest: HonestRole,
+  blackhole: BlackholeRole,
+  selectiveDropper: SelectiveDropperRole,
+  tamperer: TampererRole,
+  replayer: ReplayerRole,
+  signalingSpammer: SignalingSpammerRole,
+  cachePoisoner: CachePoisonerRole
+};
+
+function createRole(name, opts, random) {
+  const Role = ROLES[name];
+  if (!Role) {
+    throw new Error(`Unknown peer role: ${name}`);
+  }
+  return new Role(opts, random);
+}
+
+module.exports = { ROLES, createRole, PeerRole };
@@ -0,0 +1,176 @@
+// Aggregates the chat message events reported by all peer workers. Only messages sent
+// through the orchestrator are tracked, so their send time and recipient are known.
+class MetricsCollector {
+  constructor(orchestrator) {
+    this.orchestrator = orchestrator;
+    this.messages = new Map(); // message id -> per-message record
+    this.cacheStats = null;
+    this.startedAt = Date.now();
+
+    orchestrator.on('messageSent', (message, fromIndex, toIndex) => {
+      this.messages.set(message.id, {
+        id: message.id,
+        from: fromIndex,
+        to: toIndex,
+        // between two honest peers, so counted towards what still gets through under attack
+        honest: this.isHonest(fromIndex) && this.isHonest(toIndex),
+        text: message.encryptedMessage,
+        sentAt: message.timestamp,
+        delivered: false,
+        deliveredIntact: false,
+        deliveredAt: null,
+        latency: null,
+        hops: null,
+        route: null,
+        forwards: 0,
+        cachedCopies: 0,
+        deliveredFromCache: 0,
+        handoffs: 0,
+        duplicateForwards: 0,
+        duplicateDeliveries: 0,
+        hopLimitDrops: 0,
+        maliciousDrops: 0,
+        tamperings: 0,
+        replays: 0
+      });
+    });
+
+    orchestrator.on('chatMessage', (peer, message) => {
+      const record = this.messages.get(message.id);
+      if (!record) return;
+      if (message.encryptedMessage === record.text) {
+        record.deliveredIntact = true;
+      }
+      if (record.delivered) {
+        record.duplicateDeliveries++;
+        return;
+      }
+      record.delivered = true;
+      record.deliveredAt = Date.now();
+      record.latency = record.deliveredAt - record.sentAt;
+    });
+
+    orchestrator.on('dhtEvent', (peer, event) => {
+      const record = this.messages.get(event.messageId);
+      if (!record) return;
+      if (event.event === 'forward') {
+        record.forwards++;
+      } else if (event.event === 'duplicate') {
+        record.duplicateForwards++;
+      } else if (event.event === 'cached') {
+        record.cachedCopies++;
+      } else if (event.event === 'cachedMessageDelivered') {
+        record.deliveredFromCache++;
+      } else if (event.event === 'handedOff') {
+        record.handoffs++;
+      } else if (event.event === 'hopLimitReached') {
+        record.hopLimitDrops++;
+      } else if (event.event === 'dropped') {
+        record.maliciousDrops++;
+      } else if (event.event === 'tampered') {
+        record.tamperings++;
+      } else if (event.event === 'replayed') {
+        record.replays++;
+      } else if (event.event === 'route' && record.hops === null) {
+        record.route = event.path;
+        record.hops = event.path.length - 1;
+      }
+    });
+  }
+
+  isHonest(index) {
+    const peer = this.orchestrator.peers[index];
+    return !peer || !peer.options.role || peer.options.role === 'honest';
+  }
+
+  hasMaliciousPeers() {
+    return this.orchestrator.peers.some((peer, index) => peer && !this.isHonest(index));
+  }
+
+  async collectCacheStats() {
+    const stats = await this.orchestrator.collectStats();
+    const cached = Array.from(stats.values()).map(s => s.cachedMessages);
+    const total = cached.reduce((sum, count) => sum + count, 0);
+    this.cacheStats = {
+      peers: cached.length,
+      totalCachedMessages: total,
+      meanCacheOccupancy: cached.length > 0 ? total / cached.length : 0
+    };
+    return this.cacheStats;
+  }
+
+  getSummary() {
+    const records = Array.from(this.messages.values());
+    const delivered = records.filter(record => record.delivered);
+    const latencies = delivered.map(record => record.latency).sort((a, b) => a - b);
+    const hops = delivered.filter(record => record.hops !== null).map(record => record.hops);
+    const honest = records.filter(record => record.honest);
+    const honestDelivered = honest.filter(record => record.deliveredIntact);
+    const sum = (values) => values.reduce((total, value) => total + value, 0);
+    const mean = (values) => values.length > 0 ? sum(values) / values.length : null;
+    // of sorted values; the mean of the two middle ones for an even count
+    const median = (values) => values.length === 0 ? null
+      : values.length % 2 === 1 ? values[(values.length - 1) / 2]
+      : (values[values.length / 2 - 1] + values[values.length / 2]) / 2;
+
+    return {
+      messagesSent: records.length,
+      messagesDelivered: delivered.length,
+      deliveryRatio: records.length > 0 ? delivered.length / records.length : 0,
+      meanLatency: mean(latencies),
+      medianLatency: median(latencies),
+      maxLatency: latencies.length > 0 ? latencies[latencies.length - 1] : null,
+      meanHops: mean(hops),
+      forwards: sum(records.map(record => record.forwards)),
+      forwardsPerMessage: mean(records.map(record => record.forwards)),
+      duplicateForwards: sum(records.map(record => record.duplicateForwards)),
+      duplicateDeliveries: sum(records.map(record => record.duplicateDeliveries)),
+      cachedCopies: sum(records.map(record => record.cachedCopies)),
+      deliveredFromCache: sum(records.map(record => record.deliveredFromCache)),
+      handoffs: sum(records.map(record => record.handoffs)),
+      hopLimitDrops: sum(records.map(record => record.hopLimitDrops)),
+      honestMessagesSent: honest.length,
+      honestMessagesDelivered: honestDelivered.length,
+      honestDeliveryRatio: honest.length > 0 ? honestDelivered.length / honest.length : 0,
+      tamperedDeliveries: delivered.filter(record => !record.deliveredIntact).length,
+      maliciousDrops: sum(records.map(record => record.maliciousDrops)),
+      tamperings: sum(records.map(record => record.tamperings)),
+      replays: sum(records.map(record => record.replays))
+    };
+  }
+
+  getReport() {
+    return {
+      startedAt: this.startedAt,
+      generatedAt: Date.now(),
+      ...this.getSummary(),
+      cache: this.cacheStats,
+      messages: Array.from(this.messages.values())
+    };
+  }
+
+  printSummary() {
+    const summary = this.getSummary();
+    const format = (value, digits = 1) => value === null ? 'n/a' : value.toFixed(digits);
+    console.log('Metrics summary:');
+    console.log(`  delivered ${summary.messagesDelivered}/${summary.messagesSent} messages (ratio ${format(summary.deliveryRatio, 3)})`);
+    console.log(`  latency ms: mean ${format(summary.meanLatency)}, median ${format(summary.medianLatency)}, max ${format(summary.maxLatency)}`);
+    console.log(`  mean hops: ${format(summary.meanHops, 2)}`);
+    console.log(`  forwards: ${summary.forwards} (${format(summary.forwardsPerMessage, 2)} per message), ` +
+      `duplicate forwards: ${summary.duplicateForwards}, duplicate deliveries: ${summary.duplicateDeliveries}`);
+    console.log(`  cached copies: ${summary.cachedCopies}, delivered from cache: ${summary.deliveredFromCache}, ` +
+      `handed off by leaving peers: ${summary.handoffs}`);
+    console.log(`  copies dropped at the hop limit: ${summary.hopLimitDrops}`);
+    if (this.hasMaliciousPeers()) {
+      console.log(`  honest messages delivered intact: ${summary.honestMessagesDelivered}/${summary.honestMessagesSent} ` +
+        `(ratio ${format(summary.honestDeliveryRatio, 3)}), delivered only tampered: ${summary.tamperedDeliveries}`);
+      console.log(`  malicious peers: ${summary.maliciousDrops} copies dropped, ${summary.tamperings} tampered, ${summary.replays} replays`);
+    }
+    if (this.cacheStats) {
+      console.log(`  cache occupancy: ${this.cacheStats.totalCachedMessages} messages on ${this.cacheStats.peers} live peers ` +
+        `(mean ${format(this.cacheStats.meanCacheOccupancy, 2)})`);
+    }
+  }
+}
+
+module.exports = { MetricsCollector };
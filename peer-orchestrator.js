@@ -0,0 +1,335 @@
+const { fork } = require('child_process');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuid } = require('uuid');
+const { visualizationEmitter } = require('./visualization-event-emmiter.js');
+const { uuidOptions } = require('./seeded-random.js');
+const { InProcessWorker } = require('./in-process-worker.js');
+const { keyOrigin } = require('./peer-state-store.js');
+
+class PeerOrchestrator extends EventEmitter {
+  constructor({ signalingServerURL, token, iceServers, random = null, transport = null, stateStore = null, heartbeatInterval }) {
+    super();
+    this.signalingServerURL = signalingServerURL;
+    this.token = token;
+    this.iceServers = iceServers;
+    this.peers = []; // indexed by peer index, entries survive kill/restart
+    this.deliveredMessages = new Map(); // message id -> { peerIndex, timestamp }
+    this.shutdownTimeout = 5000;
+    this.partitionGroups = null;
+    this.random = random; // seeded runs derive message ids from it so they repeat across runs
+    this.transport = transport; // set in in-process mode, where peers share this process and talk in memory
+    this.stateStore = stateStore; // keeps key pairs and DHT state per peer index, so restarted peers keep their identity
+    this.heartbeatInterval = heartbeatInterval || 2000;
+  }
+
+  createMessageId() {
+    return this.random ? uuid(uuidOptions(this.random)) : uuid();
+  }
+
+  spawnPeer(index, profile, options = {}) {
+    const peerProcess = this.transport
+      ? new InProcessWorker(index, this.transport)
+      : fork(path.join(__dirname, 'peer-worker.js'));
+    const peer = {
+      index,
+      id: null,
+      peerId: null,
+      publicKey: null,
+      profile,
+      options,
+      process: peerProcess,
+      ready: false,
+      stopping: false, // set when the orchestrator asked the peer to exit; any other exit is a crash
+      lastHeartbeat: Date.now()
+    };
+    this.peers[index] = peer;
+    this.emit('peerSpawn', peer);
+    const origin = keyOrigin(options);
+    const identity = this.stateStore
+      ? { stateDir: this.stateStore.getPeerDir(index), keyPair: this.stateStore.loadKeyPair(index, origin) }
+      : {};
+
+    return new Promise((resolve, reject) => {
+      peerProcess.on('message', (msg) => {
+        if (msg.type === 'peerInfo') {
+          peer.id = msg.peerId;
+          peer.peerId = msg.peerId;
+          peer.publicKey = msg.publicKey;
+          console.log(`Peer ${msg.peerIndex + 1} info received: ${msg.peerId}`);
+          if (this.stateStore && !identity.keyPair && msg.privateKey) {
+            this.stateStore.saveKeyPair(index, { publicKey: msg.publicKey, privateKey: msg.privateKey }, origin);
+          }
+          this.broadcastPeerDirectory();
+          if (this.partitionGroups) {
+            peerProcess.send({ type: 'partition', groups: this.partitionGroups });
+          }
+          resolve(peer);
+        } else if (msg.type === 'error') {
+          console.error(`Error in peer ${msg.peerIndex + 1}: ${msg.error}`);
+          reject(new Error(msg.error));
+        } else if (msg.type === 'heartbeat') {
+          peer.lastHeartbeat = Date.now();
+          this.emit('heartbeat', peer);
+        } else if (msg.type === 'ready') {
+          peer.ready = true;
+          console.log(`Peer ${msg.peerIndex + 1} is ready`);
+          this.emit('peerReady', peer);
+        } else if (msg.type === 'chatMessage') {
+          if (!this.deliveredMessages.has(msg.message.id)) {
+            this.deliveredMessages.set(msg.message.id, { peerIndex: index, timestamp: Date.now() });
+          }
+          this.emit('chatMessage', peer, msg.message);
+        } else if (msg.type === 'dhtEvent') {
+          this.emit('dhtEvent', peer, msg);
+        } else if (msg.type === 'stats') {
+          this.emit('stats', peer, msg);
+        } else if (msg.type === 'state' || msg.type === 'dhtResult') {
+          this.emit(msg.type, peer, msg);
+        } else if (msg.type === 'left') {
+          console.log(`Peer ${index + 1} left gracefully, handing off ${msg.handedOff} cached messages`);
+          this.emit('peerLeft', peer, msg);
+        } else if (msg.type === 'visualizationEvent') {
+          visualizationEmitter.emit('visualizationEvent', msg.event);
+        }
+      });
+
+      peerProcess.on('exit', (code, signal) => {
+        // a worker that exits cleanly on its own (e.g. on Ctrl+C) did not crash either
+        const crashed = !peer.stopping && (code !== 0 || signal !== null);
+        if (crashed) {
+          console.error(`Peer process ${index + 1} crashed (code ${code}, signal ${signal})`);
+        } else {
+          console.log(`Peer process ${index + 1} exited with code ${code}`);
+        }
+        if (peer.process === peerProcess) {
+          peer.process = null;
+          peer.ready = false;
+        }
+        this.emit('peerExit', peer, code);
+        if (crashed) {
+          this.emit('peerCrash', peer, code, signal);
+        }
+        reject(new Error(`Peer process ${index + 1} exited before sending its info`));
+      });
+
+      peerProcess.send({
+        type: 'init',
+        profile,
+        signalingServerURL: this.signalingServerURL,
+        token: this.token,
+        iceServers: this.iceServers,
+        options: { ...options, ...identity },
+        heartbeatInterval: this.heartbeatInterval,
+        peerIndex: index
+      });
+    });
+  }
+
+  getPeer(index) {
+    const peer = this.peers[index];
+    if (!peer) {
+      throw new Error(`Unknown peer index ${index}`);
+    }
+    return peer;
+  }
+
+  isAlive(index) {
+    const peer = this.peers[index];
+    return !!(peer && peer.process);
+  }
+
+  getLivePeers() {
+    return this.peers.filter(peer => peer && peer.process);
+  }
+
+  killPeer(index) {
+    const peer = this.getPeer(index);
+    const peerProcess = peer.process;
+    if (!peerProcess) {
+      console.warn(`Peer ${index + 1} is not running`);
+      return Promise.resolve();
+    }
+
+    peer.stopping = true;
+    return new Promise((resolve) => {
+      const forceKill = setTimeout(() => {
+        console.warn(`Peer ${index + 1} did not exit in time; killing the process`);
+        peerProcess.kill('SIGKILL');
+      }, this.shutdownTimeout);
+      peerProcess.once('exit', () => {
+        clearTimeout(forceKill);
+        resolve();
+      });
+      peerProcess.send({ type: 'shutdown' });
+    });
+  }
+
+  // Kills the worker without letting it leave, as a crash would.
+  crashPeer(index) {
+    const peer = this.getPeer(index);
+    if (!peer.process) {
+      console.warn(`Peer ${index + 1} is not running`);
+      return false;
+    }
+    return peer.process.kill('SIGKILL');
+  }
+
+  // Blocks the worker's event loop for `ms`, to exercise hang detection. Only forked workers
+  // accept it: in-process peers share this process, which would freeze along with them.
+  hangPeer(index, ms) {
+    if (this.transport) {
+      throw new Error('hangPeer needs forked workers; it would block every in-process peer and the orchestrator');
+    }
+    return this.sendCommand(index, { type: 'hang', ms });
+  }
+
+  async restartPeer(index) {
+    const peer = this.getPeer(index);
+    if (peer.process) {
+      await this.killPeer(index);
+    }
+    return this.spawnPeer(index, peer.profile, peer.options);
+  }
+
+  sendCommand(index, command) {
+    const peer = this.getPeer(index);
+    if (!peer.process) {
+      console.warn(`Peer ${index + 1} is not running; dropping ${command.type} command`);
+      return false;
+    }
+    peer.process.send(command);
+    return true;
+  }
+
+  getPeerDirectory() {
+    const directory = {};
+    this.peers.forEach(peer => {
+      if (peer && peer.id) {
+        directory[peer.id] = peer.index;
+      }
+    });
+    return directory;
+  }
+
+  broadcastPeerDirectory() {
+    const directory = this.getPeerDirectory();
+    this.getLivePeers().forEach(peer => peer.process.send({ type: 'peerDirectory', directory }));
+  }
+
+  partition(groups) {
+    this.partitionGroups = groups;
+    console.log(`Partitioning network into groups: ${groups.map(group => `[${group.map(i => i + 1).join(', ')}]`).join(' ')}`);
+    this.getLivePeers().forEach(peer => peer.process.send({ type: 'partition', groups }));
+    visualizationEmitter.emit('visualizationEvent', { type: 'partition', state: 'partitioned', groups, timestamp: Date.now() });
+  }
+
+  heal() {
+    this.partitionGroups = null;
+    console.log('Healing network partition');
+    this.getLivePeers().forEach(peer => peer.process.send({ type: 'partition', groups: null }));
+    visualizationEmitter.emit('visualizationEvent', { type: 'partition', state: 'healed', timestamp: Date.now() });
+  }
+
+  sendMessage(fromIndex, toIndex, text, messageId = this.createMessageId()) {
+    const sender = this.getPeer(fromIndex);
+    const recipient = this.getPeer(toIndex);
+    const message = {
+      id: messageId,
+      senderId: sender.id,
+      encryptedMessage: text || `Hello from ${sender.id} to ${recipient.id}`,
+      timestamp: Date.now()
+    };
+    if (this.sendCommand(fromIndex, { type: 'sendMessage', recipientId: recipient.id, message })) {
+      this.emit('messageSent', message, fromIndex, toIndex);
+    }
+    return message;
+  }
+
+  requestPEX(index, peersRequested) {
+    return this.sendCommand(index, { type: 'pexRequest', peersRequested });
+  }
+
+  collectStats(timeout = 5000) {
+    const requestId = uuid();
+    const livePeers = this.getLivePeers();
+    const stats = new Map(); // peer index -> stats
+
+    return new Promise((resolve) => {
+      const finish = () => {
+        clearTimeout(timer);
+        this.removeListener('stats', onStats);
+        resolve(stats);
+      };
+      const onStats = (peer, msg) => {
+        if (msg.requestId !== requestId) return;
+        stats.set(peer.index, msg.stats);
+        if (stats.size === livePeers.length) finish();
+      };
+      const timer = setTimeout(finish, timeout);
+      this.on('stats', onStats);
+      if (livePeers.length === 0) return finish();
+      livePeers.forEach(peer => peer.process.send({ type: 'getStats', requestId }));
+    });
+  }
+
+  requestState(index, timeout = 5000) {
+    return this.request(index, { type: 'getState' }, 'state', 'report its state', timeout).then(msg => msg.state);
+  }
+
+  // Runs an iterative find_node lookup for `target` on the peer; see DHT.findNode.
+  requestLookup(index, target, timeout = 30 * 1000) {
+    return this.request(index, { type: 'findNode', target }, 'dhtResult', `finish its lookup for ${target}`, timeout).then(msg => msg.result);
+  }
+
+  // Publishes a value in the DHT from the peer; see DHT.store. `ttl` defaults to the peer's.
+  requestStore(index, key, value, ttl, timeout = 30 * 1000) {
+    return this.request(index, { type: 'store', key, value, ttl }, 'dhtResult', `store ${key}`, timeout).then(msg => msg.result);
+  }
+
+  requestValue(index, key, timeout = 30 * 1000) {
+    return this.request(index, { type: 'findValue', key }, 'dhtResult', `look up the value of ${key}`, timeout).then(msg => msg.result);
+  }
+
+  // Sends `command` with a fresh request id and resolves to the worker's `responseType` reply.
+  request(index, command, responseType, description, timeout) {
+    this.getPeer(index); // throws for unknown indexes before anything is set up
+    const requestId = uuid();
+    return new Promise((resolve, reject) => {
+      const onResponse = (peer, msg) => {
+        if (msg.requestId !== requestId) return;
+        clearTimeout(timer);
+        this.removeListener(responseType, onResponse);
+        if (msg.error) {
+          reject(new Error(`Peer ${index + 1}: ${msg.error}`));
+        } else {
+          resolve(msg);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.removeListener(responseType, onResponse);
+        reject(new Error(`Peer ${index + 1} did not ${description} within ${timeout} ms`));
+      }, timeout);
+      this.on(responseType, onResponse);
+      if (!this.sendCommand(index, { ...command, requestId })) {
+        clearTimeout(timer);
+        this.removeListener(responseType, onResponse);
+        reject(new Error(`Peer ${index + 1} is not running`));
+      }
+    });
+  }
+
+  // All peers leave at once, so there is no one left to hand cached messages to; they only
+  // save their state. Resolves when every peer has exited or the shutdown timeout passed.
+  shutdown() {
+    const exits = this.getLivePeers().map(peer => new Promise((resolve) => {
+      peer.stopping = true;
+      peer.process.once('exit', resolve);
+      peer.process.send({ type: 'shutdown', handOff: false });
+    }));
+    const timeout = new Promise(resolve => setTimeout(resolve, this.shutdownTimeout).unref());
+    return Promise.race([Promise.all(exits), timeout]);
+  }
+}
+
+module.exports = { PeerOrchestrator };
@@ -0,0 +1,64 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keeps the state that makes a peer the same node across restarts, one directory per peer
+// index: its RSA key pair (which determines the peerId) and the DHT state files. A temporary
+// store only lives for one run; a store in a given directory carries peers over to later runs.
+class PeerStateStore {
+  constructor(dir, { temporary = false } = {}) {
+    this.dir = path.resolve(dir);
+    this.temporary = temporary;
+  }
+
+  static createTemporary() {
+    return new PeerStateStore(fs.mkdtempSync(path.join(os.tmpdir(), 'webrtc-sim-state-')), { temporary: true });
+  }
+
+  reset() {
+    fs.rmSync(this.dir, { recursive: true, force: true });
+  }
+
+  getPeerDir(index) {
+    const peerDir = path.join(this.dir, `peer-${index}`);
+    fs.mkdirSync(peerDir, { recursive: true });
+    return peerDir;
+  }
+
+  // `origin` says how the peer asks for its key to be made (see keyOrigin). A stored key made
+  // another way is not used, so a new seed or grinding target gives the peer a new key.
+  loadKeyPair(index, origin = 'random') {
+    const keyFile = path.join(this.getPeerDir(index), 'key.json');
+    try {
+      const { publicKey, privateKey, origin: storedOrigin = 'random' } = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      if (!publicKey || !privateKey) {
+        return null;
+      }
+      if (storedOrigin !== origin) {
+        console.log(`Peer ${index + 1}: stored key pair is from ${storedOrigin}, not ${origin}; generating a new one`);
+        return null;
+      }
+      return { publicKey, privateKey };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`Ignoring unreadable key file ${keyFile}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  saveKeyPair(index, keyPair, origin = 'random') {
+    const keyFile = path.join(this.getPeerDir(index), 'key.json');
+    fs.writeFileSync(keyFile, JSON.stringify({ ...keyPair, origin }, null, 2), { mode: 0o600 });
+  }
+}
+
+// How a peer started with `options` generates its key pair (see WebRTCPeer.init).
+function keyOrigin(options) {
+  if (options.grind) {
+    return `grind ${JSON.stringify(options.grind)}`;
+  }
+  return options.seed !== undefined ? `seed ${options.seed}` : 'random';
+}
+
+module.exports = { PeerStateStore, keyOrigin };
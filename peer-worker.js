@@ -1,61 +1,179 @@
 const WebRTCPeer = require('./webrtc-peer.js').WebRTCPeer;
 
-process.on('message', async (msg) => {
-  if (msg.type === 'init') {
-    const { profile, signalingServerURL, token, iceServers, peerIndex } = msg;
-    try {
-      const peer = new WebRTCPeer(profile, signalingServerURL, token, iceServers);
-      await peer.init();
-    //   console.log(`Peer ${peerIndex + 1} initialized with ID: ${peer.peerId}`);
-
-      // Send peer info back to parent
-      process.send({
-        type: 'peerInfo',
-        peerId: peer.peerId,
-        publicKey: peer.profile.publicKey,
-        peerIndex
-      });
-
-      peer.on('visualizationEvent', (event) => {
-        process.send({
-          type: 'visualizationEvent',
-          event
-        });
-      });
-
-      peer.dht.on('chatMessage', (message) => {
-        // console.log(`Peer ${peerIndex + 1} received message:`, message);
-      });
-
-      process.peer = peer;
-
-      process.send({ type: 'ready', peerIndex });
-    } catch (error) {
-      console.error(`Error initializing peer ${peerIndex + 1}:`, error);
-      process.send({ type: 'error', peerIndex, error: error.message });
+// Runs one peer behind `channel`, which has the IPC surface of the worker process:
+// `on('message')`, `send(msg, callback)` and `exit(code)`. Forked workers use their own process;
+// in-process mode passes an in-memory channel and the shared transport in `peerOptions`.
+// `testHooks` enables commands that only exist to exercise failure handling (`hang`); only
+// forked workers turn it on, since a hang in a shared process would block every peer.
+function runPeerWorker(channel, peerOptions = {}, { testHooks = false } = {}) {
+  let peer = null;
+  let peerIndex = null;
+  let leaving = null;
+  let heartbeat = null;
+
+  const leave = (options) => {
+    if (!leaving) {
+      leaving = peer ? peer.leave(options) : Promise.resolve({ handedOff: 0 });
     }
-  } else if (msg.type === 'sendMessage') {
-    const { recipientId, message } = msg;
-    if (process.peer) {
+    return leaving;
+  };
+
+  channel.on('message', async (msg) => {
+    if (msg.type === 'init') {
+      const { profile, signalingServerURL, token, iceServers, options } = msg;
+      peerIndex = msg.peerIndex;
+      // sent from the start, so a worker stuck during initialization is noticed too
+      heartbeat = setInterval(() => channel.send({ type: 'heartbeat', peerIndex }), msg.heartbeatInterval || 2000);
       try {
-        await process.peer.dht.sendMessage(recipientId, message);
-        // console.log(`Peer ${process.peer.peerId} sent message to ${recipientId}`);
+        peer = new WebRTCPeer(profile, signalingServerURL, token, iceServers, { ...options, ...peerOptions, peerIndex });
+        await peer.init();
+      //   console.log(`Peer ${peerIndex + 1} initialized with ID: ${peer.peerId}`);
+
+        // Send peer info back to parent
+        channel.send({
+          type: 'peerInfo',
+          peerId: peer.peerId,
+          publicKey: peer.profile.publicKey,
+          // only needed when the orchestrator persists the identity
+          privateKey: options.stateDir ? peer.privateKeyStore.get(peer.peerId) : undefined,
+          peerIndex
+        });
+
+        peer.on('visualizationEvent', (event) => {
+          channel.send({
+            type: 'visualizationEvent',
+            event
+          });
+        });
+
+        peer.dht.on('chatMessage', (message) => {
+          // console.log(`Peer ${peerIndex + 1} received message:`, message);
+          channel.send({ type: 'chatMessage', peerIndex, message });
+        });
+
+        peer.dht.on('forward', ({ recipient, message }) => {
+          channel.send({ type: 'dhtEvent', event: 'forward', peerIndex, messageId: message.id, to: recipient });
+        });
+
+        peer.dht.on('duplicate', ({ messageId }) => {
+          channel.send({ type: 'dhtEvent', event: 'duplicate', peerIndex, messageId });
+        });
+
+        peer.dht.on('hopLimitReached', ({ messageId }) => {
+          channel.send({ type: 'dhtEvent', event: 'hopLimitReached', peerIndex, messageId });
+        });
+
+        peer.dht.on('route', ({ messageId, path }) => {
+          channel.send({ type: 'dhtEvent', event: 'route', peerIndex, messageId, path });
+        });
+
+        peer.dht.on('messageCached', ({ messageId }) => {
+          channel.send({ type: 'dhtEvent', event: 'cached', peerIndex, messageId });
+        });
+
+        peer.dht.on('cachedMessageDelivered', ({ messageId }) => {
+          channel.send({ type: 'dhtEvent', event: 'cachedMessageDelivered', peerIndex, messageId });
+        });
+
+        peer.dht.on('messageHandedOff', ({ messageId, to }) => {
+          channel.send({ type: 'dhtEvent', event: 'handedOff', peerIndex, messageId, to });
+        });
+
+        for (const event of ['dropped', 'tampered', 'replayed']) {
+          peer.dht.on(event, ({ messageId }) => {
+            channel.send({ type: 'dhtEvent', event, peerIndex, messageId });
+          });
+        }
+
+        channel.send({ type: 'ready', peerIndex });
       } catch (error) {
-        console.error(`Error sending message from ${process.peer.peerId} to ${recipientId}:`, error);
+        console.error(`Error initializing peer ${peerIndex + 1}:`, error);
+        channel.send({ type: 'error', peerIndex, error: error.message });
+      }
+    } else if (msg.type === 'sendMessage') {
+      const { recipientId, message } = msg;
+      if (peer) {
+        try {
+          await peer.dht.sendMessage(recipientId, message);
+          // console.log(`Peer ${peer.peerId} sent message to ${recipientId}`);
+        } catch (error) {
+          console.error(`Error sending message from ${peer.peerId} to ${recipientId}:`, error);
+        }
+      }
+    } else if (msg.type === 'pexRequest') {
+      if (peer) {
+        peer.connectionManager.performPEXRequestToClosestPeer(msg.peersRequested);
+      }
+    } else if (msg.type === 'peerDirectory') {
+      if (peer) {
+        peer.setPeerDirectory(msg.directory);
+      }
+    } else if (msg.type === 'connect') {
+      if (peer) {
+        peer.initiateConnection({ peerId: msg.peerId, publicKey: msg.publicKey });
+      }
+    } else if (msg.type === 'partition') {
+      if (peer) {
+        peer.setPartition(msg.groups);
       }
+    } else if (msg.type === 'getStats') {
+      if (peer) {
+        channel.send({ type: 'stats', requestId: msg.requestId, stats: peer.getStats() });
+      }
+    } else if (msg.type === 'getState') {
+      if (peer) {
+        channel.send({ type: 'state', requestId: msg.requestId, state: peer.getState() });
+      }
+    } else if (msg.type === 'findNode' || msg.type === 'store' || msg.type === 'findValue') {
+      if (peer) {
+        try {
+          const result = msg.type === 'findNode' ? await peer.dht.findNode(msg.target)
+            : msg.type === 'store' ? await peer.dht.store(msg.key, msg.value, msg.ttl)
+            : await peer.dht.findValue(msg.key);
+          channel.send({ type: 'dhtResult', requestId: msg.requestId, result });
+        } catch (error) {
+          channel.send({ type: 'dhtResult', requestId: msg.requestId, error: error.message });
+        }
+      }
+    } else if (msg.type === 'hang') {
+      if (!testHooks) {
+        console.warn(`Peer ${peerIndex + 1} ignores the hang command; test hooks are disabled in this worker`);
+        return;
+      }
+      console.warn(`Peer ${peerIndex + 1} blocking its event loop for ${msg.ms} ms`);
+      const until = Date.now() + msg.ms;
+      while (Date.now() < until) {}
+    } else if (msg.type === 'shutdown') {
+      clearInterval(heartbeat);
+      const { handedOff } = await leave({ handOff: msg.handOff !== false });
+      // acknowledge before exiting, so the orchestrator knows the state was saved
+      channel.send({ type: 'left', peerIndex, handedOff }, () => channel.exit(0));
     }
-  } else if (msg.type === 'shutdown') {
-    if (process.peer) {
-      process.peer.disconnect();
-    //   console.log(`Peer ${process.peer.peerId} disconnected`);
+  });
+
+  return {
+    leave,
+    disconnect() {
+      clearInterval(heartbeat);
+      if (peer) {
+        peer.disconnect();
+      }
     }
+  };
+}
+
+if (require.main === module) {
+  const worker = runPeerWorker({
+    on: (event, handler) => process.on(event, handler),
+    send: (msg, callback) => process.send(msg, callback),
+    exit: (code) => process.exit(code)
+  }, {}, { testHooks: true });
+
+  // the orchestrator sends its own shutdown on SIGINT; everyone is leaving, so only save the state
+  process.on('SIGINT', async () => {
+    await worker.leave({ handOff: false });
     process.exit(0);
-  }
-});
-
-process.on('SIGINT', () => {
-  if (process.peer) {
-    process.peer.disconnect();
-  }
-  process.exit(0);
-});
\ No newline at end of file
+  });
+}
+
+module.exports = { runPeerWorker };
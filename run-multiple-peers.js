@@ -1,108 +1,240 @@
-const { fork } = require('child_process');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const { parseArgs } = require('util');
 const { visualizationEmitter } = require('./visualization-event-emmiter.js');
+const { PeerOrchestrator } = require('./peer-orchestrator.js');
+const { loadScenario, validateScenario, getPeerOptions, ScenarioRunner } = require('./scenario.js');
+const { SignalingServer } = require('./signaling-server.js');
+const { ChurnModel } = require('./churn-model.js');
+const { WorkloadGenerator } = require('./workload.js');
+const { MetricsCollector } = require('./metrics-collector.js');
+const { createRandom, deriveSeed } = require('./seeded-random.js');
+const { InMemoryNetwork } = require('./in-memory-transport.js');
+const { silencePeerLogs } = require('./in-process-worker.js');
+const { PeerStateStore } = require('./peer-state-store.js');
+const { HealthMonitor } = require('./health-monitor.js');
+const { createControlApi } = require('./control-api.js');
+const { SimulationConsole } = require('./simulation-console.js');
 require('dotenv').config();
 
-require('./visualization-server.js');
+const { app } = require('./visualization-server.js');
 
-async function runMultiplePeers(numPeers) {
-  const signalingServerURL = process.env.SIGNALING_SERVER_URL;
+async function runMultiplePeers(scenario) {
   const token = process.env.TOKEN || '';
-  const iceServers = JSON.parse(process.env.ICE_SERVERS);
-  const peers = [];
-  const peerProcesses = [];
+  const iceServers = process.env.ICE_SERVERS ? JSON.parse(process.env.ICE_SERVERS) : [];
+  let signalingServerURL = process.env.SIGNALING_SERVER_URL;
+  let transport = null;
+  if (scenario.inProcess) {
+    console.log("Running all peers in this process over the in-memory transport");
+    transport = new InMemoryNetwork();
+    if (!scenario.peerLogs) {
+      silencePeerLogs();
+    }
+  } else if (!signalingServerURL) {
+    console.log("SIGNALING_SERVER_URL not set; starting local signaling server");
+    const signalingServer = new SignalingServer({
+      port: parseInt(process.env.SIGNALING_PORT) || 3001,
+      host: process.env.SIGNALING_HOST || '127.0.0.1',
+      token
+    });
+    signalingServerURL = await signalingServer.start();
+  }
+  const seeded = scenario.seed !== undefined;
+  if (seeded) {
+    console.log(`Running seeded simulation with seed ${scenario.seed}`);
+  }
+  // without a state directory, peers only keep their state across restarts within this run
+  const stateStore = scenario.stateDir ? new PeerStateStore(scenario.stateDir) : PeerStateStore.createTemporary();
+  if (scenario.resetState && !stateStore.temporary) {
+    console.log(`Removing peer state in ${stateStore.dir}`);
+    stateStore.reset();
+  }
+  const orchestrator = new PeerOrchestrator({
+    signalingServerURL,
+    token,
+    iceServers,
+    random: seeded ? createRandom(deriveSeed(scenario.seed, 'orchestrator')) : null,
+    transport,
+    stateStore,
+    heartbeatInterval: scenario.health && scenario.health.heartbeatInterval
+  });
+  const metricsCollector = new MetricsCollector(orchestrator);
+  app.get('/metrics', async (req, res) => {
+    await metricsCollector.collectCacheStats();
+    res.json(metricsCollector.getReport());
+  });
+  // started before the peers, so workers that hang or crash during startup are caught too
+  const healthMonitor = new HealthMonitor(orchestrator, (index) => spawnScenarioPeer(orchestrator, scenario, index), scenario.health);
+  healthMonitor.start();
+  app.get('/health', (req, res) => {
+    res.json(healthMonitor.getStates());
+  });
+  app.use('/api', createControlApi(orchestrator, (index) => spawnScenarioPeer(orchestrator, scenario, index)));
   console.log("Starting peer simulation...");
 
-  for (let i = 0; i < numPeers; i++) {
-    const { lat, lng } = generateRandomLatLng();
-    const { x, y } = generateRandomXY();
-    const profile = {
-      publicKey: '',
-      name: `Peer ${i + 1}`,
-      profilePic: getRandomPhotoAsBase64(),
-      birthDay: 1,
-      birthMonth: 1,
-      birthYear: 1990,
-      description: `Test peer ${i + 1} for WebRTC`,
-      sex: generateOneHotArray(3),
-      interests: generateInterestsArray(),
-      searching: generateOneHotArray(6),
-      latitude: lat,
-      longitude: lng,
-      x: x,
-      y: y
-    };
-
-    const peerProcess = fork(path.join(__dirname, 'peer-worker.js'));
-    peerProcesses.push(peerProcess);
-
-    peerProcess.send({
-      type: 'init',
-      profile,
-      signalingServerURL,
-      token,
-      iceServers,
-      peerIndex: i
+  await startPeers(orchestrator, scenario);
+
+  const scenarioRunner = new ScenarioRunner(scenario, orchestrator, {
+    spawnPeer: (index, options) => spawnScenarioPeer(orchestrator, scenario, index, options)
+  });
+  scenarioRunner.run().catch(error => {
+    console.error('Error running scenario timeline:', error);
+  });
+
+  let churnModel = null;
+  if (scenario.churn) {
+    churnModel = new ChurnModel(orchestrator, (index) => spawnScenarioPeer(orchestrator, scenario, index), {
+      ...scenario.churn,
+      random: seeded ? createRandom(deriveSeed(scenario.seed, 'churn')) : Math.random
     });
+    setTimeout(() => churnModel.start(), scenario.churn.startAfter || 0);
+  }
 
-    await new Promise((resolve, reject) => {
-      peerProcess.on('message', (msg) => {
-        if (msg.type === 'peerInfo') {
-          peers.push({
-            id: msg.peerId,
-            publicKey: msg.publicKey,
-            peerId: msg.peerId,
-            process: peerProcess
-          });
-          console.log(`Peer ${msg.peerIndex + 1} info received: ${msg.peerId}`);
-          resolve();
-        } else if (msg.type === 'error') {
-          console.error(`Error in peer ${msg.peerIndex + 1}: ${msg.error}`);
-          reject(new Error(msg.error));
-        } else if (msg.type === 'ready') {
-          console.log(`Peer ${msg.peerIndex + 1} is ready`);
-        } else if (msg.type === 'visualizationEvent') {
-          visualizationEmitter.emit('visualizationEvent', msg.event);
-        }
-      });
-
-      peerProcess.on('exit', (code) => {
-        console.log(`Peer process ${i + 1} exited with code ${code}`);
-      });
+  let workload = null;
+  if (scenario.workload) {
+    workload = new WorkloadGenerator(orchestrator, {
+      ...scenario.workload,
+      random: seeded ? createRandom(deriveSeed(scenario.seed, 'workload')) : Math.random
     });
+    setTimeout(() => workload.start(), scenario.workload.startAfter || 0);
   }
 
-  setTimeout(() => {
-    if (peers[0] && peers[1]) {
-      peers[0].process.send({
-        type: 'sendMessage',
-        recipientId: peers[1].id,
-        message: { id: "msg1", senderId: peers[0].id, encryptedMessage: `Hello from ${peers[0].id} to ${peers[1].id}` }
-      });
+  return { orchestrator, churnModel, workload, metricsCollector, healthMonitor, scenarioRunner };
+}
+
+let shuttingDown = false;
+
+async function shutdownSimulation({ orchestrator, churnModel, workload, metricsCollector, healthMonitor, scenarioRunner, simulationConsole }, reportFile) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  if (simulationConsole) {
+    simulationConsole.stop();
+  }
+  // first, so peers exiting on Ctrl+C aren't restarted
+  healthMonitor.stop();
+  healthMonitor.printSummary();
+  if (workload) {
+    workload.stop();
+    workload.printSummary();
+  }
+  if (churnModel) {
+    churnModel.stop();
+    churnModel.printSummary();
+  }
+  try {
+    await metricsCollector.collectCacheStats();
+    metricsCollector.printSummary();
+    if (reportFile) {
+      const report = { scenario: scenario.name, peerCount: scenario.peerCount, seed: scenario.seed, ...metricsCollector.getReport(), health: healthMonitor.getStates() };
+      if (workload) {
+        report.workload = workload.getSummary();
+      }
+      if (scenarioRunner.sybilAttack) {
+        report.sybilAttack = scenarioRunner.sybilAttack.getReport();
+      }
+      if (scenarioRunner.lookups.length > 0) {
+        report.lookups = scenarioRunner.lookups;
+      }
+      if (scenarioRunner.values.length > 0) {
+        report.values = scenarioRunner.values;
+      }
+      fs.writeFileSync(reportFile, JSON.stringify(report, null, 2));
+      console.log(`Metrics report written to ${reportFile}`);
     }
-  }, 5000);
-
-  setTimeout(() => {
-    if (peers[0] && peers[2]) {
-      peers[0].process.send({
-        type: 'sendMessage',
-        recipientId: peers[2].id,
-        message: { id: "msg2", senderId: peers[0].id, encryptedMessage: `Hello from ${peers[0].id} to ${peers[2].id}` }
-      });
+  } catch (error) {
+    console.error('Error writing metrics report:', error);
+  }
+  console.log('Shutting down all peer processes...');
+  await orchestrator.shutdown();
+  if (orchestrator.stateStore.temporary) {
+    orchestrator.stateStore.reset();
+  }
+  process.exit(0);
+}
+
+// Starts the initial peers, at most `startup.concurrency` at a time and, with
+// `startup.peersPerSecond`, no faster than that schedule. A peer that fails to start is
+// logged and skipped; the run continues with the others.
+async function startPeers(orchestrator, scenario) {
+  const startup = scenario.startup || {};
+  const concurrency = startup.concurrency || os.availableParallelism();
+  const interval = startup.peersPerSecond ? 1000 / startup.peersPerSecond : 0;
+  const startTime = Date.now();
+  let next = 0;
+  let failed = 0;
+  console.log(`Starting ${scenario.peerCount} peers, ${concurrency} at a time` +
+    (interval ? ` at ${startup.peersPerSecond} peers per second` : ''));
+
+  const startNext = async () => {
+    while (next < scenario.peerCount) {
+      const index = next++;
+      const wait = startTime + index * interval - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      try {
+        await spawnScenarioPeer(orchestrator, scenario, index);
+      } catch (error) {
+        failed++;
+        console.error(`Peer ${index + 1} failed to start: ${error.message}`);
+      }
     }
-  }, 10000);
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, scenario.peerCount) }, startNext));
+  console.log(`Started ${scenario.peerCount - failed} of ${scenario.peerCount} peers in ${((Date.now() - startTime) / 1000).toFixed(1)} s` +
+    (failed ? ` (${failed} failed)` : ''));
+}
+
+// `extraOptions` override the scenario's spawn options, e.g. the role and key grinding of Sybils.
+function spawnScenarioPeer(orchestrator, scenario, index, extraOptions = {}) {
+  if (orchestrator.peers[index]) {
+    return orchestrator.restartPeer(index);
+  }
+  const peerOptions = getPeerOptions(scenario, index);
+  // each peer gets its own seed, so its profile and keys don't depend on spawn order
+  const seed = scenario.seed !== undefined ? deriveSeed(scenario.seed, `peer-${index}`) : undefined;
+  const random = seed !== undefined ? createRandom(deriveSeed(seed, 'profile')) : Math.random;
+  const profile = { ...generateProfile(index, random), ...peerOptions.profile };
+  return orchestrator.spawnPeer(index, profile, {
+    dht: peerOptions.dht,
+    role: peerOptions.role,
+    roleOptions: peerOptions.roleOptions,
+    links: scenario.links,
+    seed,
+    ...extraOptions
+  });
+}
 
-  return peerProcesses;
+function generateProfile(i, random = Math.random) {
+  const { lat, lng } = generateRandomLatLng(random);
+  const { x, y } = generateRandomXY(random);
+  return {
+    publicKey: '',
+    name: `Peer ${i + 1}`,
+    profilePic: getRandomPhotoAsBase64(random),
+    birthDay: 1,
+    birthMonth: 1,
+    birthYear: 1990,
+    description: `Test peer ${i + 1} for WebRTC`,
+    sex: generateOneHotArray(3, null, random),
+    interests: generateInterestsArray(random),
+    searching: generateOneHotArray(6, null, random),
+    latitude: lat,
+    longitude: lng,
+    x: x,
+    y: y
+  };
 }
 
-function generateRandomLatLng(centerLat = 37.422, centerLng = -122.084, radiusKm = 50) {
+function generateRandomLatLng(random = Math.random, centerLat = 37.422, centerLng = -122.084, radiusKm = 50) {
   const earthRadius = 6371;
 
   const radiusRad = radiusKm / earthRadius;
 
-  const u = Math.random();
-  const v = Math.random();
+  const u = random();
+  const v = random();
   const w = radiusRad * Math.sqrt(u);
   const t = 2 * Math.PI * v;
 
@@ -121,27 +253,27 @@ function generateRandomLatLng(centerLat = 37.422, centerLng = -122.084, radiusKm
   };
 }
 
-function generateRandomXY() {
-  const x = (Math.random() * 2 - 1).toFixed(5);
-  const y = (Math.random() * 2 - 1).toFixed(5);
+function generateRandomXY(random = Math.random) {
+  const x = (random() * 2 - 1).toFixed(5);
+  const y = (random() * 2 - 1).toFixed(5);
   return { x: parseFloat(x), y: parseFloat(y) };
 }
 
-function generateOneHotArray(length, onePosition = null) {
+function generateOneHotArray(length, onePosition = null, random = Math.random) {
   const array = new Array(length).fill(0);
-  const position = onePosition !== null ? onePosition : Math.floor(Math.random() * length);
+  const position = onePosition !== null ? onePosition : Math.floor(random() * length);
   array[position] = 1;
   return array;
 }
 
-function generateInterestsArray() {
+function generateInterestsArray(random = Math.random) {
   const length = 46;
   const numOnes = 5;
   const array = new Array(length).fill(0);
   const indices = Array.from({ length }, (_, i) => i);
   
   for (let i = indices.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [indices[i], indices[j]] = [indices[j], indices[i]];
   }
   
@@ -152,7 +284,7 @@ function generateInterestsArray() {
   return array;
 }
 
-function getRandomPhotoAsBase64() {
+function getRandomPhotoAsBase64(random = Math.random) {
   try {
     const photosDir = path.join(__dirname, 'photos');
     const files = fs.readdirSync(photosDir);
@@ -162,7 +294,7 @@ function getRandomPhotoAsBase64() {
       throw new Error('No image files found in /photos directory');
     }
     
-    const randomImage = imageFiles[Math.floor(Math.random() * imageFiles.length)];
+    const randomImage = imageFiles.sort()[Math.floor(random() * imageFiles.length)];
     const imagePath = path.join(photosDir, randomImage);
     const imageBuffer = fs.readFileSync(imagePath);
     const base64Image = imageBuffer.toString('base64');
@@ -174,19 +306,61 @@ function getRandomPhotoAsBase64() {
   }
 }
 
-const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const { values: args, positionals } = parseArgs({
+  options: {
+    scenario: { type: 'string', short: 's' },
+    report: { type: 'string', short: 'r' },
+    seed: { type: 'string' },
+    'in-process': { type: 'boolean' },
+    'peer-logs': { type: 'boolean' },
+    'state-dir': { type: 'string' },
+    'reset-state': { type: 'boolean' },
+    concurrency: { type: 'string', short: 'c' },
+    console: { type: 'boolean' }
+  },
+  allowPositionals: true
+});
 
-const numPeers = parseInt(process.argv[2]) || 5;
-runMultiplePeers(numPeers).then(peerProcesses => {
-  process.on('SIGINT', () => {
-    console.log('Shutting down all peer processes...');
-    peerProcesses.forEach(process => {
-      process.send({ type: 'shutdown' });
+const scenarioOverrides = {};
+if (parseInt(positionals[0])) {
+  scenarioOverrides.peerCount = parseInt(positionals[0]);
+}
+if (args.seed !== undefined) {
+  scenarioOverrides.seed = args.seed;
+}
+if (args['in-process']) {
+  scenarioOverrides.inProcess = true;
+}
+if (args['peer-logs']) {
+  scenarioOverrides.peerLogs = true;
+}
+if (args['state-dir']) {
+  scenarioOverrides.stateDir = args['state-dir'];
+}
+if (args['reset-state']) {
+  scenarioOverrides.resetState = true;
+}
+const scenario = loadScenario(args.scenario || path.join(__dirname, 'scenarios', 'default.json'), scenarioOverrides);
+if (args.concurrency) {
+  // merged into the scenario's startup settings rather than replacing them
+  scenario.startup = validateScenario({ ...scenario, startup: { ...scenario.startup, concurrency: Number(args.concurrency) } }).startup;
+}
+
+runMultiplePeers(scenario).then((simulation) => {
+  process.on('SIGINT', () => shutdownSimulation(simulation, args.report));
+  if (args.console) {
+    simulation.simulationConsole = new SimulationConsole(simulation.orchestrator, {
+      spawnPeer: (index) => spawnScenarioPeer(simulation.orchestrator, scenario, index),
+      onExit: () => shutdownSimulation(simulation, args.report)
     });
+    simulation.simulationConsole.start();
+  }
+  if (scenario.duration) {
     setTimeout(() => {
-      process.exit(0);
-    }, 1000);
-  });
+      console.log(`Scenario duration of ${scenario.duration} ms elapsed`);
+      shutdownSimulation(simulation, args.report);
+    }, scenario.duration);
+  }
 }).catch(error => {
   console.error('Error running multiple peers:', error);
   process.exit(1);
@@ -0,0 +1,173 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadScenario } = require('./scenario.js');
+const { deriveSeed } = require('./seeded-random.js');
+
+const KILL_GRACE_PERIOD = 30 * 1000; // after SIGINT, for the run to shut its peers down
+
+const CSV_COLUMNS = [
+  'run', 'repetition', 'messagesSent', 'messagesDelivered', 'deliveryRatio',
+  'meanLatency', 'meanHops', 'forwards', 'duplicateForwards', 'meanCacheOccupancy', 'totalCachedMessages'
+];
+
+function loadSweep(filePath) {
+  const sweep = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!sweep.scenario) {
+    throw new Error('Sweep must name a base scenario file');
+  }
+  if (!sweep.parameters || Object.keys(sweep.parameters).length === 0) {
+    throw new Error('Sweep must define at least one parameter grid');
+  }
+  for (const [name, values] of Object.entries(sweep.parameters)) {
+    if (!Array.isArray(values) || values.length === 0) {
+      throw new Error(`Sweep parameter ${name} must be a non-empty array of values`);
+    }
+  }
+  if (!(sweep.duration > 0)) {
+    throw new Error('Sweep must define a positive duration in milliseconds');
+  }
+  sweep.repetitions = sweep.repetitions || 1;
+  sweep.output = sweep.output || path.join('results', `sweep-${Date.now()}.csv`);
+  // resolve the base scenario relative to the sweep file
+  sweep.scenario = path.resolve(path.dirname(filePath), sweep.scenario);
+  return sweep;
+}
+
+function cartesianProduct(parameters) {
+  return Object.entries(parameters).reduce(
+    (combinations, [name, values]) => combinations.flatMap(combination => values.map(value => ({ ...combination, [name]: value }))),
+    [{}]
+  );
+}
+
+// `peerCount` changes the scenario itself; every other parameter is a DHT option for all peers.
+// Routes are traced in every run (unless `traceRoutes` itself is swept), since `meanHops` is
+// computed from them.
+function buildRunScenario(baseScenario, combination, duration) {
+  const { peerCount, ...dhtOptions } = combination;
+  return {
+    ...baseScenario,
+    peerCount: peerCount || baseScenario.peerCount,
+    duration,
+    peerDefaults: {
+      ...baseScenario.peerDefaults,
+      dht: { ...baseScenario.peerDefaults.dht, traceRoutes: true, ...dhtOptions }
+    }
+  };
+}
+
+function runSimulation(scenarioFile, reportFile, stateDir, logFile, timeout) {
+  return new Promise((resolve) => {
+    const output = logFile ? fs.openSync(logFile, 'w') : 'ignore';
+    const child = spawn(process.execPath, [
+      path.join(__dirname, 'run-multiple-peers.js'), '--scenario', scenarioFile, '--report', reportFile, '--state-dir', stateDir
+    ], {
+      stdio: ['ignore', output, output]
+    });
+    let forceKill = null;
+    const timer = setTimeout(() => {
+      console.warn(`Run did not finish within ${timeout} ms; stopping it`);
+      child.kill('SIGINT');
+      forceKill = setTimeout(() => {
+        console.warn(`Run did not stop within ${KILL_GRACE_PERIOD} ms; killing it`);
+        child.kill('SIGKILL');
+      }, KILL_GRACE_PERIOD);
+    }, timeout);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      clearTimeout(forceKill);
+      if (typeof output === 'number') fs.closeSync(output);
+      resolve(code);
+    });
+  });
+}
+
+function toCsvRow(values) {
+  return values.map(value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+async function runSweep(sweep) {
+  const baseScenario = loadScenario(sweep.scenario);
+  const combinations = cartesianProduct(sweep.parameters);
+  // peerCount is always reported, as a parameter column when it is swept
+  const parameterNames = ['peerCount', ...Object.keys(sweep.parameters).filter(name => name !== 'peerCount')];
+  const totalRuns = combinations.length * sweep.repetitions;
+  // the base scenario's seed stands in for a sweep seed, so its repetitions still differ
+  const seed = sweep.seed !== undefined ? sweep.seed : baseScenario.seed;
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webrtc-sweep-'));
+
+  fs.mkdirSync(path.dirname(path.resolve(sweep.output)), { recursive: true });
+  if (sweep.logDir) {
+    fs.mkdirSync(sweep.logDir, { recursive: true });
+  }
+  fs.writeFileSync(sweep.output, toCsvRow([...parameterNames, ...CSV_COLUMNS]) + '\n');
+  console.log(`Sweep: ${combinations.length} parameter combinations x ${sweep.repetitions} repetitions = ${totalRuns} runs`);
+
+  let run = 0;
+  for (const combination of combinations) {
+    for (let repetition = 0; repetition < sweep.repetitions; repetition++) {
+      run++;
+      const scenario = buildRunScenario(baseScenario, combination, sweep.duration);
+      if (seed !== undefined) {
+        // the same seeds are reused for every combination, so parameter values are compared on equal terms
+        scenario.seed = deriveSeed(seed, `repetition-${repetition + 1}`);
+      }
+      const scenarioFile = path.join(workDir, `run-${run}-scenario.json`);
+      const reportFile = path.join(workDir, `run-${run}-report.json`);
+      // every run starts from fresh identities and DHT state
+      const stateDir = path.join(workDir, `run-${run}-state`);
+      const logFile = sweep.logDir ? path.join(sweep.logDir, `run-${run}.log`) : null;
+      fs.writeFileSync(scenarioFile, JSON.stringify(scenario, null, 2));
+
+      console.log(`Run ${run}/${totalRuns}: ${JSON.stringify(combination)}, repetition ${repetition + 1}`);
+      // startup of the peers is not part of the duration, so allow generous extra time
+      const code = await runSimulation(scenarioFile, reportFile, stateDir, logFile, sweep.duration + 120 * 1000 + scenario.peerCount * 5000);
+
+      let report = null;
+      try {
+        report = JSON.parse(fs.readFileSync(reportFile, 'utf8'));
+      } catch (error) {
+        console.error(`Run ${run} (exit code ${code}) produced no report; recording an empty row`);
+      }
+
+      const cache = (report && report.cache) || {};
+      fs.appendFileSync(sweep.output, toCsvRow([
+        ...parameterNames.map(name => name === 'peerCount' ? scenario.peerCount : combination[name]),
+        run,
+        repetition + 1,
+        report && report.messagesSent,
+        report && report.messagesDelivered,
+        report && report.deliveryRatio,
+        report && report.meanLatency,
+        report && report.meanHops,
+        report && report.forwards,
+        report && report.duplicateForwards,
+        cache.meanCacheOccupancy,
+        cache.totalCachedMessages
+      ]) + '\n');
+    }
+  }
+
+  fs.rmSync(workDir, { recursive: true, force: true });
+  console.log(`Sweep finished; results written to ${sweep.output}`);
+}
+
+if (require.main === module) {
+  const sweepFile = process.argv[2];
+  if (!sweepFile) {
+    console.error('Usage: node run-sweep.js <sweep.json>');
+    process.exit(1);
+  }
+  runSweep(loadSweep(sweepFile)).catch(error => {
+    console.error('Error running sweep:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { loadSweep, cartesianProduct, buildRunScenario, runSweep };
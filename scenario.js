@@ -0,0 +1,256 @@
+const fs = require('fs');
+const { validateDistribution } = require('./distributions.js');
+const { ROLES } = require('./malicious-roles.js');
+const { SybilAttack } = require('./sybil-attack.js');
+const { validateGenerator } = require('./workload.js');
+const { validateLinks } = require('./link-emulator.js');
+const KBucket = require('./kbucket.js').default;
+
+const ACTIONS = ['sendMessage', 'killPeer', 'restartPeer', 'crashPeer', 'hangPeer', 'pexRequest', 'partition', 'heal', 'wait', 'waitFor', 'sybilAttack', 'measureEclipse', 'findNode', 'storeValue', 'findValue'];
+const CONDITIONS = ['allPeersReady', 'peerReady', 'messageDelivered'];
+
+function loadScenario(filePath, overrides = {}) {
+  let scenario;
+  try {
+    scenario = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read scenario file ${filePath}: ${error.message}`);
+  }
+  return validateScenario({ ...scenario, ...overrides });
+}
+
+function validateScenario(scenario) {
+  if (!Number.isInteger(scenario.peerCount) || scenario.peerCount < 1) {
+    throw new Error('Scenario must define a positive integer peerCount');
+  }
+  scenario.peerDefaults = scenario.peerDefaults || {};
+  scenario.peers = scenario.peers || {};
+  scenario.timeline = scenario.timeline || [];
+
+  if (scenario.duration !== undefined && !(typeof scenario.duration === 'number' && scenario.duration > 0)) {
+    throw new Error('Scenario duration must be a positive number of milliseconds');
+  }
+  if (scenario.seed !== undefined && !['string', 'number'].includes(typeof scenario.seed)) {
+    throw new Error('Scenario seed must be a string or a number');
+  }
+  if (scenario.startup) {
+    for (const key of ['concurrency', 'peersPerSecond']) {
+      if (key in scenario.startup && !(typeof scenario.startup[key] === 'number' && scenario.startup[key] > 0)) {
+        throw new Error(`Scenario startup.${key} must be a positive number`);
+      }
+    }
+  }
+  if (scenario.health) {
+    for (const key of ['heartbeatInterval', 'hungTimeout', 'checkInterval', 'maxRestarts', 'resetAfter']) {
+      if (key in scenario.health && !(typeof scenario.health[key] === 'number' && scenario.health[key] >= 0)) {
+        throw new Error(`Scenario health.${key} must be a non-negative number`);
+      }
+    }
+  }
+  if (scenario.links !== undefined) {
+    validateLinks(scenario.links);
+  }
+  if (scenario.workload) {
+    if (!Array.isArray(scenario.workload.generators) || scenario.workload.generators.length === 0) {
+      throw new Error('Scenario workload needs a non-empty generators array');
+    }
+    scenario.workload.generators.forEach((spec, i) => validateGenerator(spec, `workload.generators[${i}]`));
+  }
+  if (scenario.churn) {
+    validateDistribution(scenario.churn.sessionLength, 'churn.sessionLength');
+    validateDistribution(scenario.churn.interArrival, 'churn.interArrival', { positive: true });
+  }
+
+  for (const [key, peer] of [['peerDefaults', scenario.peerDefaults], ...Object.entries(scenario.peers).map(([index, peer]) => [`peers.${index}`, peer])]) {
+    if (peer.role !== undefined && !(peer.role in ROLES)) {
+      throw new Error(`${key}: unknown role "${peer.role}" (expected one of ${Object.keys(ROLES).join(', ')})`);
+    }
+  }
+
+  scenario.timeline.forEach((step, i) => {
+    if (!ACTIONS.includes(step.action)) {
+      throw new Error(`Timeline step ${i}: unknown action "${step.action}"`);
+    }
+    if (step.action === 'waitFor' && !CONDITIONS.includes(step.condition)) {
+      throw new Error(`Timeline step ${i}: unknown condition "${step.condition}"`);
+    }
+    if (step.action === 'partition' && (!Array.isArray(step.groups) ||
+        !step.groups.every(group => Array.isArray(group) && group.every(index => Number.isInteger(index) && index >= 0)))) {
+      throw new Error(`Timeline step ${i}: partition needs groups as arrays of peer indexes`);
+    }
+    if (step.action === 'hangPeer' && scenario.inProcess) {
+      throw new Error(`Timeline step ${i}: hangPeer needs forked workers; in-process peers share the orchestrator's event loop`);
+    }
+    if (step.action === 'sybilAttack' && (step.victim === undefined) === (step.target === undefined)) {
+      throw new Error(`Timeline step ${i}: sybilAttack needs either a victim peer index or a target id`);
+    }
+    if (step.action === 'sybilAttack' && step.target !== undefined && !/^[0-9a-f]{40}$/.test(step.target)) {
+      throw new Error(`Timeline step ${i}: sybilAttack target must be a 40-character hex node id`);
+    }
+    if (step.action === 'findNode' && !(Number.isInteger(step.target) && step.target >= 0) &&
+        !(typeof step.target === 'string' && /^[0-9a-f]{40}$/.test(step.target))) {
+      throw new Error(`Timeline step ${i}: findNode target must be a peer index or a 40-character hex node id`);
+    }
+    if ((step.action === 'storeValue' || step.action === 'findValue') && !(typeof step.key === 'string' && step.key.length > 0)) {
+      throw new Error(`Timeline step ${i}: ${step.action} needs a key`);
+    }
+    if (step.action === 'storeValue' && step.value === undefined) {
+      throw new Error(`Timeline step ${i}: storeValue needs a value`);
+    }
+    if (step.role !== undefined && !(step.role in ROLES)) {
+      throw new Error(`Timeline step ${i}: unknown role "${step.role}"`);
+    }
+    for (const key of ['from', 'to', 'peer', 'victim']) {
+      if (key in step && (!Number.isInteger(step[key]) || step[key] < 0)) {
+        throw new Error(`Timeline step ${i}: ${key} must be a peer index`);
+      }
+    }
+  });
+  return scenario;
+}
+
+function getPeerOptions(scenario, index) {
+  const defaults = scenario.peerDefaults;
+  const overrides = scenario.peers[index] || {};
+  return {
+    role: overrides.role || defaults.role || 'honest',
+    roleOptions: { ...defaults.roleOptions, ...overrides.roleOptions },
+    profile: { ...defaults.profile, ...overrides.profile },
+    // route tracing is off in the DHT for compatibility, but the simulation's metrics rely on it
+    dht: { traceRoutes: true, ...defaults.dht, ...overrides.dht }
+  };
+}
+
+class ScenarioRunner {
+  constructor(scenario, orchestrator, { spawnPeer } = {}) {
+    this.scenario = scenario;
+    this.orchestrator = orchestrator;
+    this.spawnPeer = spawnPeer; // (index, options) => Promise, needed by sybilAttack steps
+    this.sybilAttack = null;
+    this.lookups = [];
+    this.values = []; // results of storeValue and findValue steps
+    this.pollInterval = 200;
+  }
+
+  async run() {
+    console.log(`Running scenario ${this.scenario.name || '(unnamed)'} with ${this.scenario.timeline.length} steps`);
+    for (const [i, step] of this.scenario.timeline.entries()) {
+      if (step.delay) {
+        await delay(step.delay);
+      }
+      console.log(`Scenario step ${i}: ${step.action}`);
+      try {
+        await this.runStep(step);
+      } catch (error) {
+        console.error(`Scenario step ${i} (${step.action}) failed:`, error);
+      }
+    }
+    console.log('Scenario timeline finished');
+  }
+
+  async runStep(step) {
+    switch (step.action) {
+      case 'sendMessage':
+        this.orchestrator.sendMessage(step.from, step.to, step.text, step.id);
+        break;
+      case 'killPeer':
+        await this.orchestrator.killPeer(step.peer);
+        break;
+      case 'restartPeer':
+        await this.orchestrator.restartPeer(step.peer);
+        break;
+      case 'crashPeer':
+        this.orchestrator.crashPeer(step.peer);
+        break;
+      case 'hangPeer':
+        this.orchestrator.hangPeer(step.peer, step.ms || 15000);
+        break;
+      case 'pexRequest':
+        this.orchestrator.requestPEX(step.peer, step.peersRequested || 3);
+        break;
+      case 'partition':
+        this.orchestrator.partition(step.groups);
+        break;
+      case 'heal':
+        this.orchestrator.heal();
+        break;
+      case 'wait':
+        await delay(step.ms || 0);
+        break;
+      case 'waitFor':
+        await this.waitFor(step);
+        break;
+      case 'sybilAttack':
+        this.sybilAttack = new SybilAttack(this.orchestrator, this.spawnPeer, step);
+        await this.sybilAttack.run();
+        break;
+      case 'measureEclipse':
+        if (!this.sybilAttack) {
+          throw new Error('measureEclipse needs an earlier sybilAttack step');
+        }
+        await this.sybilAttack.measure();
+        break;
+      case 'findNode':
+        await this.findNode(step);
+        break;
+      case 'storeValue': {
+        const { key, holders } = await this.orchestrator.requestStore(step.peer, step.key, step.value, step.ttl);
+        console.log(`Peer ${step.peer} stored "${step.key}" (${key}) on ${holders.length} nodes`);
+        this.values.push({ action: 'storeValue', peer: step.peer, name: step.key, key, holders });
+        break;
+      }
+      case 'findValue': {
+        const result = await this.orchestrator.requestValue(step.peer, step.key);
+        console.log(`Peer ${step.peer} ${result.found ? `found "${step.key}" at ${result.from}` : `did not find "${step.key}"`} ` +
+          `after ${result.rounds} rounds`);
+        this.values.push({ action: 'findValue', peer: step.peer, name: step.key, ...result });
+        break;
+      }
+    }
+  }
+
+  // Compares the lookup's result with the live nodes that are really closest to the target.
+  async findNode(step) {
+    const target = Number.isInteger(step.target) ? this.orchestrator.getPeer(step.target).id : step.target;
+    const result = await this.orchestrator.requestLookup(step.peer, target);
+    const self = this.orchestrator.getPeer(step.peer).id;
+    const liveIds = this.orchestrator.getLivePeers().map(peer => peer.id).filter(id => id && id !== self);
+    const expected = KBucket.sortByDistance(liveIds, target).slice(0, result.closest.length);
+    const found = result.closest.filter(node => expected.includes(node.id)).length;
+    const lookup = { peer: step.peer, ...result, found, accuracy: expected.length > 0 ? found / expected.length : 0 };
+    this.lookups.push(lookup);
+    console.log(`Lookup by peer ${step.peer} for ${target}: ${found}/${expected.length} of the closest live nodes found ` +
+      `in ${result.rounds} rounds, ${result.responded}/${result.queried} contacts answered`);
+    return lookup;
+  }
+
+  async waitFor(step) {
+    const timeout = step.timeout || 30000;
+    const deadline = Date.now() + timeout;
+    while (!this.isConditionMet(step)) {
+      if (Date.now() >= deadline) {
+        console.warn(`Condition ${step.condition} not met within ${timeout} ms; continuing`);
+        return;
+      }
+      await delay(this.pollInterval);
+    }
+  }
+
+  isConditionMet(step) {
+    const orchestrator = this.orchestrator;
+    switch (step.condition) {
+      case 'allPeersReady':
+        return orchestrator.peers.every(peer => peer && peer.ready);
+      case 'peerReady':
+        return !!(orchestrator.peers[step.peer] && orchestrator.peers[step.peer].ready);
+      case 'messageDelivered':
+        return orchestrator.deliveredMessages.has(step.messageId);
+      default:
+        return false;
+    }
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+module.exports = { loadScenario, validateScenario, getPeerOptions, ScenarioRunner };
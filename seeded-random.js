@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+// Deterministic randomness for seeded simulation runs. Each component derives its own stream
+// from the run seed and a label, so streams don't depend on the order processes start in.
+
+function deriveSeed(seed, label) {
+  return `${seed}/${label}`;
+}
+
+// sfc32 generator seeded from SHA-256 of the seed; returns floats in [0, 1) like Math.random.
+function createRandom(seed) {
+  const hash = crypto.createHash('sha256').update(String(seed)).digest();
+  let a = hash.readUInt32LE(0);
+  let b = hash.readUInt32LE(4);
+  let c = hash.readUInt32LE(8);
+  let d = hash.readUInt32LE(12);
+  return function random() {
+    const t = (((a + b) | 0) + d) | 0;
+    d = (d + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (c + (c << 3)) | 0;
+    c = (c << 21) | (c >>> 11);
+    c = (c + t) | 0;
+    return (t >>> 0) / 4294967296;
+  };
+}
+
+// SHA-256 in counter mode; returns a function producing the next `length` bytes of the stream.
+function createByteStream(seed) {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+  return function nextBytes(length) {
+    while (buffer.length < length) {
+      const block = crypto.createHash('sha256').update(`${seed}:${counter++}`).digest();
+      buffer = Buffer.concat([buffer, block]);
+    }
+    const bytes = buffer.subarray(0, length);
+    buffer = buffer.subarray(length);
+    return Buffer.from(bytes);
+  };
+}
+
+// uuid v4 options object (`uuid({ random })`) drawing its 16 random bytes from `random`.
+function uuidOptions(random) {
+  return { random: Uint8Array.from({ length: 16 }, () => Math.floor(random() * 256)) };
+}
+
+const SMALL_PRIMES = [];
+for (let n = 3; SMALL_PRIMES.length < 300; n += 2) {
+  if (SMALL_PRIMES.every(p => n % p !== 0)) SMALL_PRIMES.push(n);
+}
+const MILLER_RABIN_BASES = [2n, 3n, 5n, 7n, 11n, 13n, 17n, 19n, 23n, 29n, 31n, 37n, 41n, 43n, 47n, 53n];
+
+function modPow(base, exponent, modulus) {
+  let result = 1n;
+  base %= modulus;
+  while (exponent > 0n) {
+    if (exponent & 1n) result = (result * base) % modulus;
+    base = (base * base) % modulus;
+    exponent >>= 1n;
+  }
+  return result;
+}
+
+function modInverse(a, m) {
+  let [oldR, r] = [a % m, m];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  if (oldR !== 1n) {
+    throw new Error('Value is not invertible');
+  }
+  return ((oldS % m) + m) % m;
+}
+
+function isProbablePrime(n) {
+  for (const p of SMALL_PRIMES) {
+    if (n % BigInt(p) === 0n) return n === BigInt(p);
+  }
+  let d = n - 1n;
+  let r = 0;
+  while ((d & 1n) === 0n) {
+    d >>= 1n;
+    r++;
+  }
+  for (const base of MILLER_RABIN_BASES) {
+    let x = modPow(base, d, n);
+    if (x === 1n || x === n - 1n) continue;
+    let composite = true;
+    for (let i = 1; i < r; i++) {
+      x = (x * x) % n;
+      if (x === n - 1n) {
+        composite = false;
+        break;
+      }
+    }
+    if (composite) return false;
+  }
+  return true;
+}
+
+function generatePrime(bits, nextBytes) {
+  for (;;) {
+    const bytes = nextBytes(bits / 8);
+    bytes[0] |= 0xc0; // top two bits set, so the product of two primes has exactly 2 * bits bits
+    bytes[bytes.length - 1] |= 0x01;
+    const candidate = BigInt(`0x${bytes.toString('hex')}`);
+    if (isProbablePrime(candidate)) return candidate;
+  }
+}
+
+function toBase64Url(value) {
+  let hex = value.toString(16);
+  if (hex.length % 2) hex = `0${hex}`;
+  return Buffer.from(hex, 'hex').toString('base64url');
+}
+
+// Same output format as generateKeyPair in webrtc-peer.js (2048-bit RSA, PKCS#1 PEM), but the
+// key pair is a pure function of the seed.
+function generateSeededKeyPair(seed) {
+  const nextBytes = createByteStream(deriveSeed(seed, 'rsa'));
+  const e = 65537n;
+  let p, q, phi;
+  do {
+    p = generatePrime(1024, nextBytes);
+    q = generatePrime(1024, nextBytes);
+    phi = (p - 1n) * (q - 1n);
+  } while (p === q || phi % e === 0n);
+  if (p < q) [p, q] = [q, p];
+
+  const d = modInverse(e, phi);
+  const privateKey = crypto.createPrivateKey({
+    format: 'jwk',
+    key: {
+      kty: 'RSA',
+      n: toBase64Url(p * q),
+      e: toBase64Url(e),
+      d: toBase64Url(d),
+      p: toBase64Url(p),
+      q: toBase64Url(q),
+      dp: toBase64Url(d % (p - 1n)),
+      dq: toBase64Url(d % (q - 1n)),
+      qi: toBase64Url(modInverse(q, p))
+    }
+  });
+  return {
+    publicKey: crypto.createPublicKey(privateKey).export({ type: 'pkcs1', format: 'pem' }),
+    privateKey: privateKey.export({ type: 'pkcs1', format: 'pem' })
+  };
+}
+
+module.exports = { deriveSeed, createRandom, createByteStream, uuidOptions, generateSeededKeyPair };
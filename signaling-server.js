@@ -0,0 +1,111 @@
+const http = require('http');
+const { Server } = require('socket.io');
+
+// Local stand-in for the OtterPeer signaling server. Speaks the same protocol as
+// WebRTCPeer expects: peers announce themselves with `ready`, relay offers/answers/ICE
+// candidates with `messageOne`, and receive everything addressed to them as `message`.
+class SignalingServer {
+  // Listens on localhost only, unless `host` says otherwise.
+  constructor({ port = 3001, host = '127.0.0.1', token = '', maxInitialPeers = 10 } = {}) {
+    this.port = port;
+    this.host = host;
+    this.token = token;
+    this.maxInitialPeers = maxInitialPeers;
+    this.peers = new Map(); // peerId -> { socket, peerDto }
+    this.httpServer = null;
+    this.io = null;
+  }
+
+  start() {
+    this.httpServer = http.createServer();
+    this.io = new Server(this.httpServer, { cors: { origin: '*' } });
+
+    this.io.use((socket, next) => {
+      if (this.token && (!socket.handshake.auth || socket.handshake.auth.token !== this.token)) {
+        return next(new Error('Unauthorized'));
+      }
+      next();
+    });
+
+    this.io.on('connection', (socket) => this.handleConnection(socket));
+
+    return new Promise((resolve, reject) => {
+      this.httpServer.once('error', reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.port = this.httpServer.address().port;
+        console.log(`Local signaling server running on ${this.getURL()}`);
+        resolve(this.getURL());
+      });
+    });
+  }
+
+  // The URL local peers connect to; a server on all interfaces is reached over loopback.
+  getURL() {
+    const host = ['0.0.0.0', '::'].includes(this.host) ? '127.0.0.1' : this.host;
+    return `http://${host}:${this.port}`;
+  }
+
+  handleConnection(socket) {
+    let peerId = null;
+
+    socket.on('ready', (message) => {
+      const peerDto = message && message.peerDto;
+      if (!peerDto || !peerDto.peerId) {
+        console.warn('Signaling server received ready message without peerDto; ignoring');
+        return;
+      }
+      peerId = peerDto.peerId;
+      const connections = this.getInitialPeers(peerId);
+      this.peers.set(peerId, { socket, peerDto });
+      console.log(`Signaling server: peer ${peerId} ready, sending ${connections.length} initial peers`);
+      socket.emit('message', { target: peerId, payload: { connections } });
+    });
+
+    socket.on('messageOne', (message) => {
+      const target = message && this.peers.get(message.target);
+      if (target) {
+        target.socket.emit('message', message);
+      } else {
+        console.warn(`Signaling server: target ${message && message.target} is not connected; dropping message`);
+      }
+    });
+
+    socket.on('disconnect', () => {
+      const entry = peerId && this.peers.get(peerId);
+      if (entry && entry.socket === socket) {
+        this.peers.delete(peerId);
+      }
+    });
+  }
+
+  getInitialPeers(peerId) {
+    return Array.from(this.peers.values())
+      .filter(({ peerDto }) => peerDto.peerId !== peerId)
+      .slice(-this.maxInitialPeers)
+      .map(({ peerDto }) => peerDto);
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      this.peers.clear();
+      if (!this.io) {
+        return resolve();
+      }
+      this.io.close(() => resolve());
+    });
+  }
+}
+
+if (require.main === module) {
+  require('dotenv').config();
+  const server = new SignalingServer({
+    port: parseInt(process.env.SIGNALING_PORT) || 3001,
+    token: process.env.TOKEN || ''
+  });
+  server.start().catch(error => {
+    console.error('Error starting signaling server:', error);
+    process.exit(1);
+  });
+}
+
+module.exports = { SignalingServer };
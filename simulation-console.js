@@ -0,0 +1,193 @@
+const readline = require('readline');
+
+const COMMANDS = {
+  help: ['', 'list the commands'],
+  peers: ['', 'list peers with their number, id and status'],
+  send: ['<from> <to> [text]', 'send a chat message'],
+  kill: ['<peer>', 'stop a peer (it leaves gracefully)'],
+  spawn: ['[peer]', 'start a new peer, or restart a stopped one'],
+  pex: ['<peer> [count]', 'trigger a PEX request'],
+  buckets: ['<peer>', "show the peer's non-empty k-buckets"],
+  cache: ['<peer>', 'show the messages the peer has cached'],
+  conns: ['<peer>', "show the peer's open connections"],
+  lookup: ['<peer> <target>', 'find the nodes closest to a peer or 40-hex id'],
+  store: ['<peer> <key> <value>', 'publish a value in the DHT'],
+  get: ['<peer> <key>', 'look a value up in the DHT'],
+  exit: ['', 'shut the simulation down']
+};
+
+// Interactive console for the running simulation. Peers are given as #<number>, numbered from 1
+// like in the peer logs ("Peer 3" is #3), or by a unique prefix of their id; tab completes
+// commands and peer ids.
+class SimulationConsole {
+  constructor(orchestrator, { spawnPeer, onExit }) {
+    this.orchestrator = orchestrator;
+    this.spawnPeer = spawnPeer; // (index) => Promise, starts a peer with its scenario profile
+    this.onExit = onExit;
+    this.rl = null;
+    this.queue = Promise.resolve();
+  }
+
+  start() {
+    this.rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      prompt: 'sim> ',
+      completer: (line) => this.complete(line)
+    });
+    // commands run one after another, even when lines arrive faster than they complete
+    this.rl.on('line', (line) => {
+      this.queue = this.queue.then(async () => {
+        try {
+          await this.runCommand(line.trim().split(/\s+/).filter(Boolean));
+        } catch (error) {
+          console.error(error.message);
+        }
+        if (this.rl) this.rl.prompt();
+      });
+    });
+    // readline takes Ctrl+C away from the process, so pass it on
+    this.rl.on('SIGINT', () => this.exit());
+    this.rl.on('close', () => this.exit());
+    console.log('Simulation console ready; type "help" for commands');
+    this.rl.prompt();
+  }
+
+  stop() {
+    if (this.rl) {
+      const rl = this.rl;
+      this.rl = null;
+      rl.close();
+    }
+  }
+
+  exit() {
+    if (this.rl) {
+      this.stop();
+      this.onExit();
+    }
+  }
+
+  complete(line) {
+    const words = line.split(/\s+/);
+    const current = words[words.length - 1];
+    const candidates = words.length === 1
+      ? Object.keys(COMMANDS)
+      : this.orchestrator.peers.filter(peer => peer && peer.id).map(peer => peer.id);
+    const hits = candidates.filter(candidate => candidate.startsWith(current));
+    return [hits.length ? hits : candidates, current];
+  }
+
+  resolvePeer(value) {
+    if (value === undefined) {
+      throw new Error('Missing peer (#number or id prefix)');
+    }
+    if (/^#\d+$/.test(value)) {
+      const index = Number(value.slice(1)) - 1;
+      if (!this.orchestrator.peers[index]) {
+        throw new Error(`No peer ${value}`);
+      }
+      return this.orchestrator.getPeer(index);
+    }
+    const matches = this.orchestrator.peers.filter(peer => peer && peer.id && peer.id.startsWith(value));
+    if (matches.length !== 1) {
+      throw new Error(matches.length ? `Peer id prefix ${value} is ambiguous` : `No peer with id starting with ${value}`);
+    }
+    return matches[0];
+  }
+
+  async runCommand([command, ...args]) {
+    switch (command) {
+      case undefined:
+        break;
+      case 'help':
+        Object.entries(COMMANDS).forEach(([name, [usage, description]]) => {
+          console.log(`  ${`${name} ${usage}`.padEnd(26)}${description}`);
+        });
+        break;
+      case 'peers':
+        this.orchestrator.peers.filter(Boolean).forEach(peer => {
+          const status = !peer.process ? 'stopped' : peer.ready ? 'ready' : 'starting';
+          console.log(`  ${`#${peer.index + 1}`.padStart(4)}  ${peer.id || '(joining)'}  ${status}`);
+        });
+        break;
+      case 'send': {
+        const from = this.resolvePeer(args[0]);
+        const to = this.resolvePeer(args[1]);
+        const message = this.orchestrator.sendMessage(from.index, to.index, args.slice(2).join(' ') || undefined);
+        console.log(`Sent message ${message.id}`);
+        break;
+      }
+      case 'kill':
+        await this.orchestrator.killPeer(this.resolvePeer(args[0]).index);
+        break;
+      case 'spawn': {
+        const index = args[0] !== undefined ? this.resolvePeer(args[0]).index : this.orchestrator.peers.length;
+        if (this.orchestrator.isAlive(index)) {
+          throw new Error(`Peer ${index + 1} is already running`);
+        }
+        const peer = await this.spawnPeer(index);
+        console.log(`Peer ${peer.index + 1} started as ${peer.id}`);
+        break;
+      }
+      case 'pex': {
+        const peer = this.resolvePeer(args[0]);
+        this.orchestrator.requestPEX(peer.index, Number(args[1]) || 3);
+        break;
+      }
+      case 'buckets': {
+        const state = await this.orchestrator.requestState(this.resolvePeer(args[0]).index);
+        state.buckets.forEach(bucket => {
+          console.log(`  bucket ${bucket.index}: ${bucket.nodes.join(', ')}` +
+            (bucket.replacements.length ? `; replacements: ${bucket.replacements.join(', ')}` : ''));
+        });
+        console.log(`${state.buckets.reduce((sum, bucket) => sum + bucket.nodes.length, 0)} nodes in ${state.buckets.length} buckets`);
+        break;
+      }
+      case 'cache': {
+        const state = await this.orchestrator.requestState(this.resolvePeer(args[0]).index);
+        state.cachedMessages.forEach(message => console.log(`  ${message.id}  ${message.sender} -> ${message.recipient}`));
+        console.log(`${state.cachedMessages.length} cached messages`);
+        break;
+      }
+      case 'conns': {
+        const state = await this.orchestrator.requestState(this.resolvePeer(args[0]).index);
+        state.connections.forEach(peerId => console.log(`  ${peerId}`));
+        console.log(`${state.connections.length} connections`);
+        break;
+      }
+      case 'lookup': {
+        const peer = this.resolvePeer(args[0]);
+        const target = /^[0-9a-f]{40}$/.test(args[1] || '') ? args[1] : this.resolvePeer(args[1]).id;
+        const result = await this.orchestrator.requestLookup(peer.index, target);
+        result.closest.forEach(node => console.log(`  ${node.id}${node.responded ? '' : '  (not asked)'}`));
+        console.log(`${result.closest.length} closest nodes after ${result.rounds} rounds; ${result.responded}/${result.queried} contacts answered`);
+        break;
+      }
+      case 'store': {
+        if (args.length < 3) {
+          throw new Error('Usage: store <peer> <key> <value>');
+        }
+        const { key, holders } = await this.orchestrator.requestStore(this.resolvePeer(args[0]).index, args[1], args.slice(2).join(' '));
+        console.log(`Stored ${key} on ${holders.length} nodes`);
+        break;
+      }
+      case 'get': {
+        if (args.length < 2) {
+          throw new Error('Usage: get <peer> <key>');
+        }
+        const result = await this.orchestrator.requestValue(this.resolvePeer(args[0]).index, args[1]);
+        console.log(result.found ? `${JSON.stringify(result.value)} (from ${result.from}, expires in ${Math.round(result.ttl / 1000)} s)` : `${result.key} not found`);
+        break;
+      }
+      case 'exit':
+      case 'quit':
+        this.exit();
+        break;
+      default:
+        console.log(`Unknown command "${command}"; type "help" for commands`);
+    }
+  }
+}
+
+module.exports = { SimulationConsole };
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const EventEmitter = require('events');
+const KBucket = require('./kbucket.js').default;
+
+const generateKeyPairAsync = promisify(crypto.generateKeyPair);
+
+// Generates key pairs until the peer id (sha1 of the public key) shares at least
+// `minPrefix` and at most `maxPrefix` leading bits with `target`. Each extra bit doubles the
+// expected attempts. Keys are generated off the event loop, so the worker keeps sending
+// heartbeats; nothing checks their size, so attackers use cheap 1024-bit keys.
+async function grindKeyPair({ target, minPrefix = 0, maxPrefix = Infinity, modulusLength = 1024, maxAttempts = 1e6 }) {
+  for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+    const { publicKey, privateKey } = await generateKeyPairAsync('rsa', {
+      modulusLength,
+      publicKeyEncoding: { type: 'pkcs1', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+    });
+    // the number of leading bits the ids share, i.e. the bucket the key lands in on `target`
+    const prefix = KBucket.prefixLength(KBucket.distance(crypto.createHash('sha1').update(publicKey).digest('hex'), target));
+    if (prefix >= minPrefix && prefix <= maxPrefix) {
+      return { publicKey, privateKey, attempts };
+    }
+  }
+  throw new Error(`No key pair within ${minPrefix}-${maxPrefix} prefix bits of ${target} after ${maxAttempts} attempts`);
+}
+
+// Spawns Sybil peers with ground ids and points them at a victim.
+//
+// With `victim` (a peer index) the Sybils try to eclipse it: each one is ground to land in one
+// of the victim's k-buckets (`buckets`, by default those holding nodes when the attack starts)
+// and connects to it, so that full buckets evict honest nodes. With `target` (a node id) they
+// are ground to share at least `prefixBits` leading bits with it, to sit on the routes towards
+// that id. Sybils play `role` (default blackhole).
+class SybilAttack extends EventEmitter {
+  constructor(orchestrator, spawnPeer, opts) {
+    super();
+    this.orchestrator = orchestrator;
+    this.spawnPeer = spawnPeer; // (index, options) => Promise, starts a peer with extra spawn options
+    this.victim = opts.victim;
+    this.target = opts.target;
+    this.count = opts.count || 20;
+    this.buckets = opts.buckets || null;
+    this.prefixBits = opts.prefixBits || 8;
+    this.role = opts.role || 'blackhole';
+    this.modulusLength = opts.modulusLength || 1024;
+    this.sybils = []; // peer indexes
+    this.measurements = [];
+  }
+
+  async run() {
+    await this.measure(); // the baseline, before any Sybil joins
+    const specs = await this.planGrinding();
+    console.log(`Sybil attack: spawning ${specs.length} Sybils against ` +
+      (this.victim !== undefined ? `peer ${this.victim}` : `id ${this.target}`));
+    const startedAt = Date.now();
+    for (const grind of specs) {
+      const index = this.orchestrator.peers.length;
+      try {
+        await this.spawnPeer(index, { role: this.role, grind });
+        this.sybils.push(index);
+        this.connectToVictim(index);
+      } catch (error) {
+        console.error(`Sybil attack: Sybil ${index} failed to start: ${error.message}`);
+      }
+    }
+    console.log(`Sybil attack: ${this.sybils.length} Sybils started in ${((Date.now() - startedAt) / 1000).toFixed(1)} s`);
+  }
+
+  async planGrinding() {
+    if (this.victim === undefined) {
+      return Array.from({ length: this.count }, () => ({ target: this.target, minPrefix: this.prefixBits, modulusLength: this.modulusLength }));
+    }
+    const victim = this.orchestrator.getPeer(this.victim);
+    let buckets = this.buckets;
+    if (!buckets) {
+      const state = await this.orchestrator.requestState(this.victim);
+      buckets = state.buckets.map(bucket => bucket.index);
+    }
+    if (buckets.length === 0) {
+      throw new Error(`Peer ${this.victim} has no nodes in its buckets to evict`);
+    }
+    // one Sybil per bucket in turn, so every bucket fills up at the same pace
+    return Array.from({ length: this.count }, (_, i) => {
+      const bucket = buckets[i % buckets.length];
+      return { target: victim.id, minPrefix: bucket, maxPrefix: bucket, modulusLength: this.modulusLength };
+    });
+  }
+
+  connectToVictim(index) {
+    if (this.victim === undefined) return;
+    const victim = this.orchestrator.getPeer(this.victim);
+    this.orchestrator.sendCommand(index, { type: 'connect', peerId: victim.id, publicKey: victim.publicKey });
+  }
+
+  // The victim is eclipsed when every node in its buckets is a Sybil.
+  async measure() {
+    if (this.victim === undefined) {
+      return null;
+    }
+    const sybilIds = new Set(this.sybils.map(index => this.orchestrator.peers[index]).filter(peer => peer && peer.id).map(peer => peer.id));
+    const state = await this.orchestrator.requestState(this.victim);
+    const bucketNodes = state.buckets.flatMap(bucket => bucket.nodes);
+    const measurement = {
+      timestamp: Date.now(),
+      bucketNodes: bucketNodes.length,
+      sybilBucketNodes: bucketNodes.filter(id => sybilIds.has(id)).length,
+      connections: state.connections.length,
+      sybilConnections: state.connections.filter(id => sybilIds.has(id)).length
+    };
+    measurement.eclipsed = measurement.bucketNodes > 0 && measurement.sybilBucketNodes === measurement.bucketNodes;
+    this.measurements.push(measurement);
+    console.log(`Sybil attack: ${measurement.sybilBucketNodes}/${measurement.bucketNodes} of peer ${this.victim}'s bucket nodes and ` +
+      `${measurement.sybilConnections}/${measurement.connections} of its connections are Sybils` +
+      (measurement.eclipsed ? '; the peer is eclipsed' : ''));
+    this.emit('measurement', measurement);
+    return measurement;
+  }
+
+  getReport() {
+    return {
+      victim: this.victim,
+      target: this.target,
+      sybils: this.sybils,
+      measurements: this.measurements,
+      eclipsed: this.measurements.length > 0 ? this.measurements[this.measurements.length - 1].eclipsed : null
+    };
+  }
+}
+
+module.exports = { SybilAttack, grindKeyPair };
@@ -81,7 +81,12 @@ visualizationEmitter.on('visualizationEvent', (event) => {
   processQueue();
 });
 
+// The control API under /api can spawn, kill and message peers without authentication, so the
+// server only listens on localhost unless HOST says otherwise.
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-  console.log(`Visualization server running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+const HOST = process.env.HOST || '127.0.0.1';
+server.listen(PORT, HOST, () => {
+  console.log(`Visualization server running on http://${HOST}:${PORT}`);
+});
+
+module.exports = { app, server };
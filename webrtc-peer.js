@@ -7,15 +7,15 @@ const path = require('path');
 const DHT = require('./dht.js').default;
 const EventEmitter = require('events');
 const ConnectionManager = require('./connection-manager.js').ConnectionManager;
+const { LinkEmulator } = require('./link-emulator.js');
+const { createRandom, deriveSeed, generateSeededKeyPair } = require('./seeded-random.js');
+const { grindKeyPair } = require('./sybil-attack.js');
 
-// In-memory store for user data (replacing userdb)
-const userStore = new Map();
-
-// In-memory store for private keys (replacing AsyncStorage)
-const privateKeyStore = new Map();
-
-function generateKeyPair() {
+function generateKeyPair(seed = null) {
   try {
+    if (seed !== null && seed !== undefined) {
+      return generateSeededKeyPair(seed);
+    }
     const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
       modulusLength: 2048,
       publicKeyEncoding: { type: 'pkcs1', format: 'pem' },
@@ -36,7 +36,7 @@ function derivePeerId(publicKey) {
   return createSHA1Hash(publicKey);
 }
 
-async function verifyPublicKey(peerId, publicKey) {
+async function verifyPublicKey(peerId, publicKey, userStore) {
   const derivedPeerId = derivePeerId(publicKey);
   if (derivedPeerId !== peerId) {
     throw new Error(`Public key hash (${derivedPeerId}) doesn't match peerId (${peerId})`);
@@ -68,7 +68,7 @@ function encryptAesKey(targetPublicKey, aesKey) {
   }
 }
 
-async function decryptAESKey(encryptedAesKey, selfPeerId) {
+async function decryptAESKey(encryptedAesKey, selfPeerId, privateKeyStore) {
   const privateKey = privateKeyStore.get(selfPeerId);
   if (!privateKey) {
     throw new Error(`No private key found for self`);
@@ -89,7 +89,7 @@ async function decryptAESKey(encryptedAesKey, selfPeerId) {
   }
 }
 
-async function signMessage(message, peerId) {
+async function signMessage(message, peerId, privateKeyStore) {
   const privateKey = privateKeyStore.get(peerId);
   if (!privateKey) {
     throw new Error(`No private key found for peer ${peerId}`);
@@ -156,7 +156,7 @@ function decryptAndDecodeMessage(aesKey, iv, authTag, encryptedMessage) {
   }
 }
 
-async function encryptAndSignOffer(senderId, targetId, sessionDescription, targetPublicKey, senderPublicKey) {
+async function encryptAndSignOffer(senderId, targetId, sessionDescription, targetPublicKey, senderPublicKey, userStore, privateKeyStore) {
   try {
     let aesKey, iv, keyId;
     const targetUser = userStore.get(targetId);
@@ -181,7 +181,7 @@ async function encryptAndSignOffer(senderId, targetId, sessionDescription, targe
     const sdp = sessionDescription.sdp;
     const { encryptedMessage, authTag } = encodeAndEncryptMessage(sdp, aesKey, iv);
     const encryptedAesKey = encryptAesKey(targetPublicKey, aesKey);
-    const encryptedAesKeySignature = await signMessage(encryptedAesKey, senderId);
+    const encryptedAesKeySignature = await signMessage(encryptedAesKey, senderId, privateKeyStore);
 
     return {
       encryptedOffer: encryptedMessage,
@@ -200,7 +200,7 @@ async function encryptAndSignOffer(senderId, targetId, sessionDescription, targe
   }
 }
 
-async function verifyAndDecryptOffer(encryptedPayload, senderPublicKey, selfPeerId) {
+async function verifyAndDecryptOffer(encryptedPayload, senderPublicKey, selfPeerId, userStore, privateKeyStore) {
   try {
     const { encryptedOffer, encryptedAesKey, authTag, encryptedAesKeySignature, from, iv, keyId } = encryptedPayload;
     let aesKey;
@@ -209,7 +209,7 @@ async function verifyAndDecryptOffer(encryptedPayload, senderPublicKey, selfPeer
       aesKey = senderUser.aesKey;
     } else {
       verifySignature(encryptedAesKey, senderPublicKey, encryptedAesKeySignature);
-      aesKey = await decryptAESKey(encryptedAesKey, selfPeerId);
+      aesKey = await decryptAESKey(encryptedAesKey, selfPeerId, privateKeyStore);
       userStore.set(from, {
         ...userStore.get(from),
         peerId: from,
@@ -228,7 +228,7 @@ async function verifyAndDecryptOffer(encryptedPayload, senderPublicKey, selfPeer
   }
 }
 
-async function encryptAnswer(senderId, targetId, sessionDescription, senderPublicKey) {
+async function encryptAnswer(senderId, targetId, sessionDescription, senderPublicKey, userStore) {
   try {
     const user = userStore.get(targetId);
     if (!user || !user.aesKey || !user.iv) {
@@ -253,7 +253,7 @@ async function encryptAnswer(senderId, targetId, sessionDescription, senderPubli
   }
 }
 
-async function decryptAnswer(encryptedRTCSessionDescription) {
+async function decryptAnswer(encryptedRTCSessionDescription, userStore) {
   try {
     const senderUser = userStore.get(encryptedRTCSessionDescription.from);
     if (!senderUser || !senderUser.aesKey || !senderUser.iv) {
@@ -316,7 +316,7 @@ function sendData(dataChannel, fileData, chunkSize = 16384) {
 }
 
 class WebRTCPeer extends EventEmitter {
-  constructor(profile, signalingServerURL, token, iceServers) {
+  constructor(profile, signalingServerURL, token, iceServers, options = {}) {
     super();
     this.profile = profile;
     this.peerId = derivePeerId(profile.publicKey);
@@ -324,6 +324,19 @@ class WebRTCPeer extends EventEmitter {
     this.signalingServerURL = signalingServerURL;
     this.token = token;
     this.iceServers = iceServers;
+    this.options = options;
+    this.transport = options.transport || null; // in-memory transport in in-process mode, wrtc and socket.io otherwise
+    // In-memory store for user data (replacing userdb)
+    this.userStore = new Map();
+    // In-memory store for private keys (replacing AsyncStorage)
+    this.privateKeyStore = new Map();
+    this.peerDirectory = new Map(); // peerId -> simulation peer index, provided by the orchestrator
+    this.linkEmulator = new LinkEmulator(options.links, {
+      localIndex: options.peerIndex,
+      getPeerIndex: (peerId) => this.peerDirectory.get(peerId),
+      getLocation: (peerId) => peerId ? this.userStore.get(peerId) : this.profile,
+      random: this.createRandom('links')
+    });
     this.connections = new Map();
     this.dataChannels = new Map();
     this.socket = null;
@@ -332,17 +345,19 @@ class WebRTCPeer extends EventEmitter {
   }
 
   async init() {
-    const { publicKey, privateKey } = generateKeyPair();
+    // Sybils grind their key pair for an id near a target (see sybil-attack.js)
+    const { publicKey, privateKey } = this.options.keyPair ||
+      (this.options.grind ? await grindKeyPair(this.options.grind) : generateKeyPair(this.options.seed));
     this.peerId = derivePeerId(publicKey);
     if (derivePeerId(publicKey) !== this.peerId) {
       throw new Error('Generated public key does not match peerId');
     }
     this.profile.publicKey = publicKey;
     this.profile.peerId = this.peerId;
-    privateKeyStore.set(this.peerId, privateKey);
+    this.privateKeyStore.set(this.peerId, privateKey);
 
-    userStore.set(this.peerId, {
-      ...userStore.get(this.peerId),
+    this.userStore.set(this.peerId, {
+      ...this.userStore.get(this.peerId),
       peerId: this.peerId,
       publicKey: this.profile.publicKey,
       x: this.profile.x,
@@ -354,7 +369,22 @@ class WebRTCPeer extends EventEmitter {
       longitude: this.profile.longitude
     });
 
-    this.dht = new DHT({ nodeId: this.peerId });
+    this.dht = new DHT({
+      ...this.options.dht,
+      nodeId: this.peerId,
+      stateDir: this.options.stateDir,
+      random: this.createRandom('dht'),
+      role: this.options.role,
+      roleOptions: this.options.roleOptions,
+      getPeerIndex: (peerId) => this.peerDirectory.get(peerId),
+      getPublicKey: (peerId) => (this.userStore.get(peerId) || {}).publicKey || null,
+      // lookups reach contacts beyond the neighbours by connecting to them over DHT signaling
+      connect: (contact) => {
+        if (!this.connections.has(contact.id)) {
+          this.initiateConnection({ peerId: contact.id, publicKey: contact.publicKey }, null, true);
+        }
+      }
+    });
     this.dht.on('ready', () => {
       console.log(`DHT for peer ${this.peerId} is ready`);
     });
@@ -370,14 +400,17 @@ class WebRTCPeer extends EventEmitter {
       this.dataChannels,
       this.dht,
       (targetPeer, signalingDataChannel, useDHTForSignaling) => this.initiateConnection(targetPeer, signalingDataChannel, useDHTForSignaling),
-      userStore
+      this.userStore,
+      this.createRandom('connections')
     );
     this.connectionManager.start();
 
     try {
-      this.socket = io(this.signalingServerURL, {
-        auth: { token: this.token }
-      });
+      this.socket = this.transport
+        ? this.transport.connectSignaling({ token: this.token })
+        : io(this.signalingServerURL, {
+          auth: { token: this.token }
+        });
 
       this.socket.on('connect', () => {
         console.log(`Peer ${this.peerId} connected to signaling server`);
@@ -419,7 +452,9 @@ class WebRTCPeer extends EventEmitter {
 
   createPeerConnection(targetPeer, signalingDataChannel = null) {
     try {
-      const peerConnection = new wrtc.RTCPeerConnection({ iceServers: this.iceServers });
+      const peerConnection = this.transport
+        ? this.transport.createPeerConnection()
+        : new wrtc.RTCPeerConnection({ iceServers: this.iceServers });
 
       // todo: queue ice candidatates till the answer is received on the offer side
       peerConnection.onicecandidate = (event) => {
@@ -485,6 +520,7 @@ class WebRTCPeer extends EventEmitter {
   }
 
   setupDataChannel(dataChannel, targetPeer) {
+    dataChannel = this.linkEmulator.wrap(dataChannel, targetPeer.peerId);
     const label = dataChannel.label;
     this.dataChannels.set(`${targetPeer.peerId}:${this.peerId}:${label}`, dataChannel);
 
@@ -540,8 +576,8 @@ class WebRTCPeer extends EventEmitter {
           console.log("Received peerDTO response:", data);
           const peerDto = JSON.parse(data);
 
-          userStore.set(peerDto.peerId, {
-            ...userStore.get(peerDto.peerId),
+          this.userStore.set(peerDto.peerId, {
+            ...this.userStore.get(peerDto.peerId),
             peerId: peerDto.peerId,
             publicKey: peerDto.publicKey,
             age: peerDto.age || 0,
@@ -585,7 +621,7 @@ class WebRTCPeer extends EventEmitter {
         try {
           const message = JSON.parse(event.data);
           if (message.type === "request") {
-            this.connectionManager.shareConnectedPeers(dataChannel, message, userStore);
+            this.connectionManager.shareConnectedPeers(dataChannel, message, this.userStore);
             this.emit('visualizationEvent', {
               type: 'message',
               from: targetPeer.peerId,
@@ -611,6 +647,53 @@ class WebRTCPeer extends EventEmitter {
     }
   }
 
+  // Independent random stream per component when the run is seeded, Math.random otherwise
+  createRandom(label) {
+    if (this.options.seed === undefined || this.options.seed === null) {
+      return Math.random;
+    }
+    return createRandom(deriveSeed(this.options.seed, label));
+  }
+
+  setPeerDirectory(directory) {
+    this.peerDirectory = new Map(Object.entries(directory));
+  }
+
+  getStats() {
+    return {
+      peerId: this.peerId,
+      connections: this.connections.size,
+      bucketNodes: this.dht ? this.dht.buckets.all().length : 0,
+      cachedMessages: this.dht ? this.dht.cacheStrategy.getCachedMessageCount() : 0
+    };
+  }
+
+  // Everything needed to inspect the peer from outside: its connections, the non-empty
+  // k-buckets with their replacement caches and the cached messages.
+  getState() {
+    return {
+      peerId: this.peerId,
+      name: this.profile.name,
+      connections: [...this.connections.keys()],
+      buckets: this.dht
+        ? this.dht.buckets.buckets
+          .map((bucket, index) => ({
+            index,
+            nodes: bucket.map(node => node.id),
+            replacements: this.dht.buckets.replacements[index].map(node => node.id)
+          }))
+          .filter(bucket => bucket.nodes.length > 0)
+        : [],
+      cachedMessages: this.dht
+        ? [...this.dht.cacheStrategy.getCachedMessages().values()].map(({ sender, recipient, message }) => ({ id: message.id, sender, recipient }))
+        : []
+    };
+  }
+
+  setPartition(groups) {
+    this.linkEmulator.setPartition(groups);
+  }
+
   sendProfile(dataChannel) {
     if (dataChannel.readyState !== 'open') {
       console.error('Profile data channel is not open.');
@@ -662,7 +745,7 @@ class WebRTCPeer extends EventEmitter {
     }
     try {
       targetPeer.useDHTForSignaling = useDHTForSignaling;
-      await verifyPublicKey(targetPeer.peerId, targetPeer.publicKey);
+      await verifyPublicKey(targetPeer.peerId, targetPeer.publicKey, this.userStore);
       const peerConnection = this.createPeerConnection(targetPeer, signalingDataChannel);
 
       const signalingDataChannelWithTargetPeer = peerConnection.createDataChannel('signaling');
@@ -688,7 +771,9 @@ class WebRTCPeer extends EventEmitter {
         targetPeer.peerId,
         offer,
         targetPeer.publicKey,
-        this.profile.publicKey
+        this.profile.publicKey,
+        this.userStore,
+        this.privateKeyStore
       );
 
       if (useDHTForSignaling === true) {
@@ -739,8 +824,8 @@ class WebRTCPeer extends EventEmitter {
 
   async handleOffer(message, senderPeer, signalingDataChannel) {
     try {
-      await verifyPublicKey(senderPeer.peerId, senderPeer.publicKey);
-      const decryptedOffer = await verifyAndDecryptOffer(message, senderPeer.publicKey, this.peerId);
+      await verifyPublicKey(senderPeer.peerId, senderPeer.publicKey, this.userStore);
+      const decryptedOffer = await verifyAndDecryptOffer(message, senderPeer.publicKey, this.peerId, this.userStore, this.privateKeyStore);
       const peerConnection = this.createPeerConnection(senderPeer, signalingDataChannel);
       await peerConnection.setRemoteDescription(decryptedOffer);
       const answer = await peerConnection.createAnswer();
@@ -749,7 +834,8 @@ class WebRTCPeer extends EventEmitter {
         this.peerId,
         senderPeer.peerId,
         answer,
-        this.profile.publicKey
+        this.profile.publicKey,
+        this.userStore
       );
       if (signalingDataChannel) {
         signalingDataChannel.send(JSON.stringify(signalingMessage))
@@ -784,7 +870,7 @@ class WebRTCPeer extends EventEmitter {
         console.warn(`Cannot set answer: signaling state is ${peerConnection.signalingState}`);
         return;
       }
-      const decryptedAnswer = await decryptAnswer(message);
+      const decryptedAnswer = await decryptAnswer(message, this.userStore);
       await peerConnection.setRemoteDescription(decryptedAnswer);
     } catch (error) {
       // console.error(`Error handling answer from ${message.from}:`, error);
@@ -820,6 +906,22 @@ class WebRTCPeer extends EventEmitter {
     }
   }
 
+  // Graceful departure: passes cached messages on to the closest live neighbours, persists the
+  // DHT state (with only the messages nobody took over) and only then closes the connections.
+  async leave({ handOff = true } = {}) {
+    let handedOff = 0;
+    if (this.dht) {
+      if (handOff) {
+        handedOff = await this.dht.handOffCachedMessages();
+      }
+      if (this.options.stateDir) {
+        await this.dht.saveState().catch(() => {});
+      }
+    }
+    this.disconnect();
+    return { handedOff };
+  }
+
   disconnect() {
     try {
       if (this.dht) {
@@ -842,4 +944,4 @@ class WebRTCPeer extends EventEmitter {
   }
 }
 
-module.exports = { WebRTCPeer, userStore };
\ No newline at end of file
+module.exports = { WebRTCPeer };
\ No newline at end of file
@@ -1,12 +1,17 @@
 const EventEmitter = require('events');
+const crypto = require('crypto');
 const WebRTCPeer = require('./webrtc-peer.js').WebRTCPeer;
 const { v4: uuid } = require('uuid');
 
+// Kademlia requests, each answered with a `<type>_response`
+const REQUESTS = ['find_node', 'find_value', 'store'];
+
 class WebRTCRPC extends EventEmitter {
   constructor({ nodeId }) {
     super();
     this.id = nodeId;
     this.dataChannels = new Map();
+    this.pendingReplies = new Map(); // pendingKey -> { nodeId, resolve, timer }, see awaitReply
   }
 
   setupDataChannel(node, dataChannel) {
@@ -21,7 +26,12 @@ class WebRTCRPC extends EventEmitter {
 
     dataChannel.onclose = () => {
       console.log(`DHT data channel closed with ${node.id}`);
-      this.dataChannels.delete(node.id);
+      // a reconnected node has a new channel by now, which stays
+      if (this.dataChannels.get(node.id) === dataChannel) {
+        this.dataChannels.delete(node.id);
+        this.settleReplies(entry => entry.nodeId === node.id);
+        this.emit("closed", node);
+      }
     };
 
     dataChannel.onerror = (error) => {
@@ -46,7 +56,14 @@ class WebRTCRPC extends EventEmitter {
         }
         // todo: visualize pings
         this.emit('ping', node);
-      } else if (rpcMessage.type === 'pong') {
+      } else if (rpcMessage.type === 'pong' || rpcMessage.type === 'cacheAck' || /_response$/.test(rpcMessage.type)) {
+        this.settleReply(pendingKey(node.id, rpcMessage.type, rpcMessage.id), rpcMessage);
+        this.emit('message', rpcMessage, node);
+      } else if (REQUESTS.includes(rpcMessage.type)) {
+        // answered by the DHT, which knows the buckets and the stored values
+        this.emit('message', rpcMessage, node);
+      } else if (rpcMessage.type === 'cache') {
+        // acknowledged by the DHT once it has cached or delivered the message (see ackCachedMessage)
         this.emit('message', rpcMessage, node);
       } else if (rpcMessage.type === 'message' || rpcMessage.type === 'signaling') {
         if (rpcMessage.type === 'message') {
@@ -57,8 +74,8 @@ class WebRTCRPC extends EventEmitter {
           message: rpcMessage.message ? rpcMessage.message.encryptedMessage || 'Chat Message' : rpcMessage.signalingMessage ? 'Signaling Message on DHT' : 'Unknown Message',
           timestamp: Date.now()
           });
-          this.emit('message', rpcMessage, node);
         }
+        this.emit('message', rpcMessage, node);
       }
     } catch (error) {
       console.error(`Error parsing DHT message from ${node.id}:`, error);
@@ -97,7 +114,19 @@ class WebRTCRPC extends EventEmitter {
     }
   }
 
-  async sendMessage(node, sender, recipient, message = null, signalingMessage = null) {
+  // `routing` holds the optional envelope fields: `trace`, the route taken so far (this node
+  // appends itself), and `hopLimit`, the hops the message may still take. Clients that don't
+  // know the fields ignore them.
+  addRoutingFields(rpcMessage, routing) {
+    if (routing && Array.isArray(routing.trace)) {
+      rpcMessage.trace = [...routing.trace, this.id];
+    }
+    if (routing && Number.isInteger(routing.hopLimit)) {
+      rpcMessage.hopLimit = routing.hopLimit;
+    }
+  }
+
+  async sendMessage(node, sender, recipient, message = null, signalingMessage = null, routing = null) {
     try {
       const dataChannel = this.dataChannels.get(node.id);
       if (!dataChannel || dataChannel.readyState !== 'open') {
@@ -112,6 +141,7 @@ class WebRTCRPC extends EventEmitter {
         message,
         signalingMessage
       };
+      this.addRoutingFields(rpcMessage, routing);
 
       dataChannel.send(JSON.stringify(rpcMessage));
       return true;
@@ -121,6 +151,118 @@ class WebRTCRPC extends EventEmitter {
     }
   }
 
+  // Tells a leaving node that a message it offered is now held (or was delivered) here.
+  ackCachedMessage(node, messageId) {
+    const dataChannel = this.dataChannels.get(node.id);
+    if (dataChannel && dataChannel.readyState === 'open') {
+      dataChannel.send(JSON.stringify({ type: 'cacheAck', sender: this.id, id: messageId }));
+    }
+  }
+
+  // Hands a cached chat message over to `node`, which keeps it in its own cache. Resolves once
+  // the node acknowledges it, or to false on timeout or when the channel closes.
+  async offerCachedMessage(node, sender, recipient, message, routing = null, timeout = 2000) {
+    const dataChannel = this.dataChannels.get(node.id);
+    if (!dataChannel || dataChannel.readyState !== 'open') {
+      return false;
+    }
+
+    const rpcMessage = { type: 'cache', sender, recipient, message };
+    this.addRoutingFields(rpcMessage, routing);
+
+    const ack = this.awaitReply(node.id, 'cacheAck', message.id, timeout);
+    try {
+      dataChannel.send(JSON.stringify(rpcMessage));
+    } catch (error) {
+      console.error(`Error offering cached message to ${node.id}:`, error);
+      this.settleReply(pendingKey(node.id, 'cacheAck', message.id), null);
+    }
+    return (await ack) !== null;
+  }
+
+  // Sends a request expecting a `<type>_response` with the same id. Resolves to the response,
+  // or to null when the node can't be reached or doesn't answer within `timeout`.
+  async request(node, type, fields, timeout = 5000) {
+    const dataChannel = this.dataChannels.get(node.id);
+    if (!dataChannel || dataChannel.readyState !== 'open') {
+      return null;
+    }
+
+    const requestId = uuid();
+    const response = this.awaitReply(node.id, `${type}_response`, requestId, timeout);
+    try {
+      dataChannel.send(JSON.stringify({ ...fields, type, sender: this.id, id: requestId }));
+    } catch (error) {
+      console.error(`Error sending ${type} to ${node.id}:`, error);
+      this.settleReply(pendingKey(node.id, `${type}_response`, requestId), null);
+    }
+    return response;
+  }
+
+  // Resolves to the `type` message with `id` from node `nodeId` once handleMessage sees it, or
+  // to null after `timeout` ms or when the node's channel closes. Replies are looked up by key
+  // instead of each waiting caller listening to every message.
+  awaitReply(nodeId, type, id, timeout) {
+    const key = pendingKey(nodeId, type, id);
+    this.settleReply(key, null); // a reply can only settle one caller
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => this.settleReply(key, null), timeout);
+      this.pendingReplies.set(key, { nodeId, resolve, timer });
+    });
+  }
+
+  settleReply(key, reply) {
+    const entry = this.pendingReplies.get(key);
+    if (!entry) {
+      return;
+    }
+    clearTimeout(entry.timer);
+    this.pendingReplies.delete(key);
+    entry.resolve(reply);
+  }
+
+  // Resolves the pending replies `filter` picks to null.
+  settleReplies(filter) {
+    for (const [key, entry] of this.pendingReplies) {
+      if (filter(entry)) this.settleReply(key, null);
+    }
+  }
+
+  respond(node, request, fields) {
+    const dataChannel = this.dataChannels.get(node.id);
+    if (dataChannel && dataChannel.readyState === 'open') {
+      dataChannel.send(JSON.stringify({ ...fields, type: `${request.type}_response`, sender: this.id, id: request.id }));
+    }
+  }
+
+  // Asks `node` for the contacts it knows closest to `target`. Resolves to their list, or to
+  // null without an answer.
+  async findNode(node, target, timeout) {
+    const response = await this.request(node, 'find_node', { target }, timeout);
+    return response && toContacts(response.nodes);
+  }
+
+  // Like findNode, but a node holding a value for `key` answers with it instead:
+  // resolves to { value, ttl } or { nodes }, or to null without an answer.
+  async findValue(node, key, timeout) {
+    const response = await this.request(node, 'find_value', { key }, timeout);
+    if (!response) {
+      return null;
+    }
+    return 'value' in response ? { value: response.value, ttl: response.ttl } : { nodes: toContacts(response.nodes) };
+  }
+
+  // Asks `node` to keep `value` under `key` for `ttl` ms. Resolves to whether it did.
+  async store(node, key, value, ttl, timeout) {
+    const response = await this.request(node, 'store', { key, value, ttl }, timeout);
+    return !!(response && response.stored);
+  }
+
+  isConnected(nodeId) {
+    const dataChannel = this.dataChannels.get(nodeId);
+    return !!dataChannel && dataChannel.readyState === 'open';
+  }
+
   getId() {
     return this.id;
   }
@@ -130,7 +272,24 @@ class WebRTCRPC extends EventEmitter {
       dataChannel.close();
     }
     this.dataChannels.clear();
+    this.settleReplies(() => true);
   }
 }
 
+function pendingKey(nodeId, type, id) {
+  return `${nodeId}/${type}/${id}`;
+}
+
+// Contacts come with the public key needed to open a connection to them, when the answering
+// node knows it. A key that doesn't hash to the contact's id is left out.
+function toContacts(nodes) {
+  return Array.isArray(nodes)
+    ? nodes.filter(node => node && typeof node.id === 'string' && /^[0-9a-f]{40}$/.test(node.id)).map(node => {
+      const verified = typeof node.publicKey === 'string' &&
+        crypto.createHash('sha1').update(node.publicKey).digest('hex') === node.id;
+      return verified ? { id: node.id, publicKey: node.publicKey } : { id: node.id };
+    })
+    : [];
+}
+
 module.exports = { default: WebRTCRPC };
\ No newline at end of file
@@ -0,0 +1,213 @@
+const EventEmitter = require('events');
+const { sampleDistribution, validateDistribution } = require('./distributions.js');
+
+const PATTERNS = ['uniform', 'zipf', 'conversation', 'bursty', 'offline'];
+
+// Drives chat traffic through the orchestrator's sendMessage, which gives every message its
+// id and timestamp. Each generator fires at gaps drawn from its `interval` (or `rate`
+// messages per second) and sends, depending on its pattern:
+//   uniform       one message between a random live sender and a random other peer
+//   zipf          one message to a recipient drawn by Zipf popularity (`exponent`, default 1)
+//   conversation  `messages` (default 6) back and forth between two peers, `replyDelay` apart
+//   bursty        `burstSize` (default 10) messages between random pairs, `spacing` ms apart
+//   offline       one message to a peer that is currently not running
+class WorkloadGenerator extends EventEmitter {
+  constructor(orchestrator, opts) {
+    super();
+    this.orchestrator = orchestrator;
+    this.random = opts.random || Math.random;
+    this.duration = opts.duration || Infinity; // ms after start, for all generators
+    this.generators = opts.generators.map((spec, i) => validateGenerator(spec, `workload.generators[${i}]`));
+    this.timers = new Set();
+    this.sent = new Map(); // pattern -> message ids
+    this.skipped = new Map(); // pattern -> number of messages without a possible sender or recipient
+    this.popularity = null; // peer indexes in Zipf rank order, drawn at start
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) {
+      console.warn("WorkloadGenerator is already running");
+      return;
+    }
+    this.running = true;
+    this.startedAt = Date.now();
+    this.popularity = this.shuffle(this.orchestrator.peers.filter(Boolean).map(peer => peer.index));
+    this.generators.forEach(generator => this.schedule(generator));
+    console.log(`WorkloadGenerator started with ${this.generators.map(generator => generator.pattern).join(', ')} traffic`);
+  }
+
+  stop() {
+    if (!this.running) {
+      return;
+    }
+    this.running = false;
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    console.log("WorkloadGenerator stopped");
+  }
+
+  later(delay, action) {
+    const timer = setTimeout(() => {
+      this.timers.delete(timer);
+      if (this.running) action();
+    }, delay);
+    this.timers.add(timer);
+  }
+
+  schedule(generator) {
+    const delay = sampleDistribution(generator.interval, this.random);
+    const elapsed = Date.now() - this.startedAt + delay;
+    if (elapsed > Math.min(this.duration, generator.duration || Infinity)) {
+      return;
+    }
+    this.later(delay, () => {
+      this.fire(generator);
+      this.schedule(generator);
+    });
+  }
+
+  fire(generator) {
+    switch (generator.pattern) {
+      case 'uniform':
+        this.send(generator, this.pickLive(), (from) => this.pickAny(from));
+        break;
+      case 'zipf':
+        this.send(generator, this.pickLive(), (from) => this.pickZipf(from, generator.exponent || 1));
+        break;
+      case 'conversation':
+        this.converse(generator);
+        break;
+      case 'bursty':
+        for (let i = 0; i < (generator.burstSize || 10); i++) {
+          this.later(i * (generator.spacing || 50), () => this.send(generator, this.pickLive(), (from) => this.pickAny(from)));
+        }
+        break;
+      case 'offline':
+        this.send(generator, this.pickLive(), () => this.pickOffline());
+        break;
+    }
+  }
+
+  converse(generator) {
+    const first = this.pickLive();
+    const second = first === null ? null : this.pickAny(first);
+    if (second === null) {
+      this.skip(generator);
+      return;
+    }
+    const replyDelay = generator.replyDelay || { distribution: 'exponential', mean: 3000 };
+    let at = 0;
+    for (let i = 0; i < (generator.messages || 6); i++) {
+      const [from, to] = i % 2 === 0 ? [first, second] : [second, first];
+      this.later(at, () => this.send(generator, this.orchestrator.isAlive(from) ? from : null, () => to));
+      at += sampleDistribution(replyDelay, this.random);
+    }
+  }
+
+  send(generator, from, pickRecipient) {
+    const to = from === null ? null : pickRecipient(from);
+    if (to === null) {
+      this.skip(generator);
+      return;
+    }
+    if (!this.sent.has(generator.pattern)) {
+      this.sent.set(generator.pattern, []);
+    }
+    const sent = this.sent.get(generator.pattern);
+    const message = this.orchestrator.sendMessage(from, to, `${generator.pattern} message ${sent.length + 1}`);
+    sent.push(message.id);
+    this.emit('message', { pattern: generator.pattern, from, to, message });
+  }
+
+  skip(generator) {
+    this.skipped.set(generator.pattern, (this.skipped.get(generator.pattern) || 0) + 1);
+  }
+
+  pickFrom(indexes) {
+    return indexes.length > 0 ? indexes[Math.floor(this.random() * indexes.length)] : null;
+  }
+
+  pickLive() {
+    return this.pickFrom(this.orchestrator.getLivePeers().filter(peer => peer.id).map(peer => peer.index));
+  }
+
+  // any peer that has joined at some point, live or not
+  pickAny(exclude) {
+    return this.pickFrom(this.orchestrator.peers.filter(peer => peer && peer.id && peer.index !== exclude).map(peer => peer.index));
+  }
+
+  pickOffline() {
+    return this.pickFrom(this.orchestrator.peers.filter(peer => peer && peer.id && !peer.process).map(peer => peer.index));
+  }
+
+  // Rank r is drawn with probability proportional to 1 / r^exponent. Peers that joined after
+  // the start are appended to the ranking, so they are the least popular.
+  pickZipf(exclude, exponent) {
+    this.orchestrator.peers.forEach(peer => {
+      if (peer && !this.popularity.includes(peer.index)) this.popularity.push(peer.index);
+    });
+    const candidates = this.popularity.filter(index => index !== exclude && this.orchestrator.peers[index].id);
+    const weights = candidates.map((_, rank) => 1 / Math.pow(rank + 1, exponent));
+    let remaining = this.random() * weights.reduce((sum, weight) => sum + weight, 0);
+    for (let i = 0; i < candidates.length; i++) {
+      remaining -= weights[i];
+      if (remaining < 0) return candidates[i];
+    }
+    return candidates.length > 0 ? candidates[candidates.length - 1] : null;
+  }
+
+  shuffle(values) {
+    for (let i = values.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [values[i], values[j]] = [values[j], values[i]];
+    }
+    return values;
+  }
+
+  getSummary() {
+    return PATTERNS.filter(pattern => this.sent.has(pattern) || this.skipped.has(pattern)).map(pattern => {
+      const ids = this.sent.get(pattern) || [];
+      const delivered = ids.filter(id => this.orchestrator.deliveredMessages.has(id)).length;
+      return {
+        pattern,
+        sent: ids.length,
+        delivered,
+        deliveryRatio: ids.length > 0 ? delivered / ids.length : 0,
+        skipped: this.skipped.get(pattern) || 0
+      };
+    });
+  }
+
+  printSummary() {
+    const summary = this.getSummary();
+    if (summary.length === 0) {
+      return;
+    }
+    console.log('Workload summary:');
+    summary.forEach(({ pattern, sent, delivered, deliveryRatio, skipped }) => {
+      console.log(`  ${pattern}: delivered ${delivered}/${sent} (ratio ${deliveryRatio.toFixed(3)})` +
+        (skipped ? `, ${skipped} skipped without a sender or recipient` : ''));
+    });
+  }
+}
+
+function validateGenerator(spec, name) {
+  if (!spec || !PATTERNS.includes(spec.pattern)) {
+    throw new Error(`${name}: pattern must be one of ${PATTERNS.join(', ')}`);
+  }
+  if (spec.rate !== undefined) {
+    if (!(typeof spec.rate === 'number' && spec.rate > 0)) {
+      throw new Error(`${name}: rate must be a positive number per second`);
+    }
+    // a Poisson process with that rate
+    spec = { ...spec, interval: { distribution: 'exponential', mean: 1000 / spec.rate } };
+  }
+  validateDistribution(spec.interval, `${name}.interval`);
+  if (spec.replyDelay) {
+    validateDistribution(spec.replyDelay, `${name}.replyDelay`);
+  }
+  return spec;
+}
+
+module.exports = { WorkloadGenerator, validateGenerator, PATTERNS };